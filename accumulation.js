@@ -0,0 +1,124 @@
+/**
+ * Progressive accumulation antialiasing
+ *
+ * While the image is static, each frame renders one more sample set, with
+ * every sample shifted by a jitter offset, into a half-float framebuffer
+ * and blends it into the running average of the frames before it. The
+ * average is then copied to the canvas. Frames stay as cheap as a single
+ * sample set, and the image converges to MAX_ACCUMULATED_SAMPLES sets.
+ *
+ * Values are averaged as the shader outputs them (unpremultiplied RGBA), the
+ * same way the shader averages its own supersamples.
+ */
+
+import { createProgramFromSources, setupFullscreenQuad, createRenderTarget, deleteRenderTarget } from './webgl-utils.js';
+import { vertexShaderSource, accumulationDisplayShaderSource } from './shaders.js';
+
+export const MAX_ACCUMULATED_SAMPLES = 64;
+
+/**
+ * Element index of the Halton low-discrepancy sequence in a base, in [0, 1)
+ */
+function halton(index, base) {
+    let result = 0;
+    let fraction = 1 / base;
+    while (index > 0) {
+        result += (index % base) * fraction;
+        index = Math.floor(index / base);
+        fraction /= base;
+    }
+    return result;
+}
+
+/**
+ * Jitter of the nth sample set, in sample cells. The first set is centered,
+ * so it matches a normal render; later ones spread evenly over the cell.
+ */
+export function sampleJitter(n) {
+    return n === 0 ? [0, 0] : [halton(n, 2) - 0.5, halton(n, 3) - 0.5];
+}
+
+export class AccumulationBuffer {
+    constructor(gl) {
+        this.gl = gl;
+        this.supported = gl.getExtension('EXT_color_buffer_float') !== null;
+        this.target = null;
+        this.sampleCount = 0;
+
+        if (this.supported) {
+            this.program = createProgramFromSources(gl, vertexShaderSource, accumulationDisplayShaderSource);
+            this.textureLocation = gl.getUniformLocation(this.program, 'u_accumulation');
+            setupFullscreenQuad(gl, this.program);
+        }
+    }
+
+    /**
+     * Start over on the next frame (graph, view or setting changed)
+     */
+    reset() {
+        this.sampleCount = 0;
+    }
+
+    get converged() {
+        return this.sampleCount >= MAX_ACCUMULATED_SAMPLES;
+    }
+
+    /**
+     * Jitter for the next sample set
+     */
+    get jitter() {
+        return sampleJitter(this.sampleCount);
+    }
+
+    /**
+     * Match the canvas size; a new size starts over
+     */
+    resize(width, height) {
+        if (this.target && this.target.width === width && this.target.height === height) return;
+
+        const gl = this.gl;
+        if (this.target) deleteRenderTarget(gl, this.target);
+        this.target = createRenderTarget(gl, width, height, gl.RGBA16F, gl.HALF_FLOAT);
+        this.reset();
+    }
+
+    /**
+     * Direct the next draw into the buffer, weighted so the buffer holds the
+     * mean of all sample sets. Blend state is left for the caller to restore.
+     */
+    beginSample() {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.target.framebuffer);
+        gl.viewport(0, 0, this.target.width, this.target.height);
+
+        if (this.sampleCount === 0) {
+            gl.disable(gl.BLEND);
+        } else {
+            gl.enable(gl.BLEND);
+            gl.blendColor(0, 0, 0, 1 / (this.sampleCount + 1));
+            gl.blendFunc(gl.CONSTANT_ALPHA, gl.ONE_MINUS_CONSTANT_ALPHA);
+        }
+    }
+
+    endSample() {
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+        this.sampleCount++;
+    }
+
+    /**
+     * Draw the averaged image to the bound framebuffer with the current blend
+     * state, leaving the display program in use
+     */
+    present() {
+        const gl = this.gl;
+        gl.useProgram(this.program);
+
+        const previousUnit = gl.getParameter(gl.ACTIVE_TEXTURE);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.target.texture);
+        gl.uniform1i(this.textureLocation, 1);
+        gl.activeTexture(previousUnit);
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Keyframe animation of node parameters
+ *
+ * A node's keyframes map a property to a time-sorted list of
+ * { time, value, easing }. The easing of a keyframe shapes the segment that
+ * starts at it (as in CSS animations). Before the first and after the last
+ * keyframe the property holds that keyframe's value.
+ */
+
+// Animatable node properties: JS property name -> JSON key
+export const ANIMATABLE_PROPERTIES = {
+    scale: 'scale',
+    radialRadius: 'radial_radius',
+    radialCount: 'radial_count',
+    rotation: 'rotation'
+};
+
+// Properties that only take whole numbers
+const INTEGER_PROPERTIES = new Set(['radialCount']);
+
+export const EASINGS = {
+    linear: t => t,
+    ease_in: t => t * t,
+    ease_out: t => t * (2 - t),
+    ease_in_out: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+    step: t => (t < 1 ? 0 : 1)
+};
+
+export const DEFAULT_EASING = 'linear';
+
+// Shortest timeline shown when keyframes are all at time 0
+const MIN_DURATION = 1;
+
+/**
+ * Interpolate a keyframe list at a time (seconds)
+ */
+export function sampleKeyframes(keyframes, time) {
+    if (time <= keyframes[0].time) return keyframes[0].value;
+
+    const last = keyframes[keyframes.length - 1];
+    if (time >= last.time) return last.value;
+
+    let i = 0;
+    while (keyframes[i + 1].time < time) i++;
+
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    const t = (time - from.time) / (to.time - from.time);
+    return from.value + (to.value - from.value) * EASINGS[from.easing](t);
+}
+
+/**
+ * Set every animated property of every node to its value at a time.
+ * Returns true if any value changed.
+ */
+export function applyAnimation(graph, time) {
+    let changed = false;
+
+    for (const node of graph.getAllNodes()) {
+        for (const [property, keyframes] of Object.entries(node.keyframes)) {
+            let value = sampleKeyframes(keyframes, time);
+            if (INTEGER_PROPERTIES.has(property)) value = Math.round(value);
+
+            if (node[property] !== value) {
+                node[property] = value;
+                changed = true;
+            }
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Time of the last keyframe in the graph
+ */
+export function getAnimationDuration(graph) {
+    let duration = 0;
+    for (const node of graph.getAllNodes()) {
+        for (const keyframes of Object.values(node.keyframes)) {
+            duration = Math.max(duration, keyframes[keyframes.length - 1].time);
+        }
+    }
+    return Math.max(duration, MIN_DURATION);
+}
+
+export function hasAnimation(graph) {
+    return graph.getAllNodes().some(node => Object.keys(node.keyframes).length > 0);
+}
+
+/**
+ * Add or replace the keyframe at a time, keeping the list sorted
+ */
+export function setKeyframe(node, property, time, value, easing = DEFAULT_EASING) {
+    const keyframes = (node.keyframes[property] || []).filter(k => k.time !== time);
+    keyframes.push({ time, value, easing });
+    keyframes.sort((a, b) => a.time - b.time);
+    node.keyframes[property] = keyframes;
+}
+
+export function removeKeyframe(node, property, time) {
+    const keyframes = (node.keyframes[property] || []).filter(k => k.time !== time);
+    if (keyframes.length > 0) {
+        node.keyframes[property] = keyframes;
+    } else {
+        delete node.keyframes[property];
+    }
+}
+
+/**
+ * Parse a node's JSON "keyframes" field (keyed by JSON property names)
+ */
+export function parseKeyframes(value, nodeId) {
+    const result = {};
+    if (value === undefined || value === null) return result;
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Node ${nodeId}: keyframes must be an object keyed by property`);
+    }
+
+    for (const [jsonKey, list] of Object.entries(value)) {
+        const property = Object.keys(ANIMATABLE_PROPERTIES).find(p => ANIMATABLE_PROPERTIES[p] === jsonKey);
+        if (!property) {
+            throw new Error(`Node ${nodeId}: "${jsonKey}" cannot be animated`);
+        }
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error(`Node ${nodeId}: keyframes.${jsonKey} must be a non-empty array`);
+        }
+
+        result[property] = list.map(keyframe => {
+            const easing = keyframe.easing !== undefined ? keyframe.easing : DEFAULT_EASING;
+            if (!Number.isFinite(keyframe.time) || keyframe.time < 0 || !Number.isFinite(keyframe.value)) {
+                throw new Error(`Node ${nodeId}: keyframes.${jsonKey} entries need a non-negative time and a numeric value`);
+            }
+            if (!EASINGS[easing]) {
+                throw new Error(`Node ${nodeId}: unknown easing "${easing}"`);
+            }
+            return { time: keyframe.time, value: keyframe.value, easing };
+        }).sort((a, b) => a.time - b.time);
+    }
+
+    return result;
+}
+
+export function keyframesToJSON(keyframes) {
+    const json = {};
+    for (const [property, list] of Object.entries(keyframes)) {
+        json[ANIMATABLE_PROPERTIES[property]] = list.map(({ time, value, easing }) => ({
+            time,
+            value,
+            ...(easing !== DEFAULT_EASING && { easing })
+        }));
+    }
+    return json;
+}
+
+/**
+ * Playback clock for the timeline panel
+ */
+export class Timeline {
+    constructor() {
+        this.time = 0;
+        this.duration = MIN_DURATION;
+        this.playing = false;
+        this.loop = true;
+        this.lastTick = null;
+    }
+
+    play() {
+        if (this.time >= this.duration && !this.loop) this.time = 0;
+        this.playing = true;
+        this.lastTick = null;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    seek(time) {
+        this.time = Math.min(Math.max(time, 0), this.duration);
+    }
+
+    /**
+     * Advance by the wall-clock time since the last tick.
+     * Returns true while playing.
+     */
+    tick(now) {
+        if (!this.playing) return false;
+
+        if (this.lastTick !== null) {
+            this.time += (now - this.lastTick) / 1000;
+            if (this.time > this.duration) {
+                if (this.loop) {
+                    this.time %= this.duration;
+                } else {
+                    this.time = this.duration;
+                    this.playing = false;
+                }
+            }
+        }
+        this.lastTick = now;
+        return true;
+    }
+}
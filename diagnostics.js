@@ -0,0 +1,140 @@
+/**
+ * Evaluation limit diagnostics
+ *
+ * The stack machine in shaders.js gives up on a sample when it runs out of
+ * stack frames (opaque white) or loop iterations (transparent), so a deep or
+ * wide graph can look wrong without saying why. Both limits are uniforms and
+ * can be raised here. With u_diagnosticsMode set, the shader tints samples
+ * that hit a limit, or writes each pixel's failure and failing node encoded
+ * in its color; DiagnosticsProbe renders the view that way into a small
+ * target and counts the failures on the CPU.
+ */
+
+import { createRenderTarget, saveDrawState, restoreDrawState } from './webgl-utils.js';
+
+// The target's own frame takes one; with fewer than two, every sample fails
+export const MIN_STACK_LIMIT = 2;
+// MAX_STACK in shaders.js: the stack array can't be made any deeper
+export const MAX_STACK_LIMIT = 64;
+export const MAX_ITERATION_LIMIT = 10000;
+
+export const DEFAULT_LIMITS = Object.freeze({ stackLimit: MAX_STACK_LIMIT, iterationLimit: 500 });
+
+// u_diagnosticsMode values
+export const DIAGNOSTICS_OFF = 0;
+export const DIAGNOSTICS_TINT = 1;
+const DIAGNOSTICS_ENCODE = 2;
+
+// The probe samples the view on a grid this size, one sample per cell
+const PROBE_SIZE = 64;
+
+// Failure types by the shader's FAILURE_* value
+const FAILURES = [null, 'stack', 'timeout'];
+
+const FAILURE_DESCRIPTIONS = {
+    stack: 'hit the stack limit',
+    timeout: 'hit the iteration limit'
+};
+
+/**
+ * Clamp limits to what the shader supports. Values that aren't numbers
+ * fall back to the defaults.
+ */
+export function normalizeLimits({ stackLimit, iterationLimit }) {
+    const clamp = (value, min, max, fallback) =>
+        Number.isFinite(value) ? Math.min(Math.max(Math.round(value), min), max) : fallback;
+    return {
+        stackLimit: clamp(stackLimit, MIN_STACK_LIMIT, MAX_STACK_LIMIT, DEFAULT_LIMITS.stackLimit),
+        iterationLimit: clamp(iterationLimit, 1, MAX_ITERATION_LIMIT, DEFAULT_LIMITS.iterationLimit)
+    };
+}
+
+/**
+ * Set u_stackLimit and u_iterationLimit on the program in use
+ */
+export function setLimitUniforms(gl, locations, limits) {
+    gl.uniform1i(locations.u_stackLimit, limits.stackLimit);
+    gl.uniform1i(locations.u_iterationLimit, limits.iterationLimit);
+}
+
+export class DiagnosticsProbe {
+    constructor(gl) {
+        this.gl = gl;
+        this.target = createRenderTarget(gl, PROBE_SIZE, PROBE_SIZE);
+        this.pixels = new Uint8Array(PROBE_SIZE * PROBE_SIZE * 4);
+    }
+
+    /**
+     * Render the current view in diagnostics encoding and count its failures.
+     * The generic program must be in use with the view, target node, graph
+     * and limit uniforms set; locations are its uniforms. Leaves resolution,
+     * supersampling, jitter, edge-adaptive and diagnostics uniforms for the
+     * caller to set again.
+     *
+     * Returns { samples, stack, timeout }, each failure type being
+     * { count, nodes: Map of node slot -> count }.
+     */
+    measure(locations) {
+        const gl = this.gl;
+        const drawState = saveDrawState(gl);
+
+        gl.uniform2f(locations.u_resolution, PROBE_SIZE, PROBE_SIZE);
+        gl.uniform2f(locations.u_pixelOffset, 0, 0);
+        gl.uniform2f(locations.u_sampleJitter, 0, 0);
+        gl.uniform1i(locations.u_supersampleFactor, 1);
+        gl.uniform1i(locations.u_edgeAdaptive, 0);
+        gl.uniform1i(locations.u_diagnosticsMode, DIAGNOSTICS_ENCODE);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.target.framebuffer);
+        gl.viewport(0, 0, PROBE_SIZE, PROBE_SIZE);
+        gl.disable(gl.BLEND);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.readPixels(0, 0, PROBE_SIZE, PROBE_SIZE, gl.RGBA, gl.UNSIGNED_BYTE, this.pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        restoreDrawState(gl, drawState);
+        return countFailures(this.pixels);
+    }
+}
+
+/**
+ * Tally encoded pixels: failure type in red, node slot + 1 in green (low
+ * byte) and blue (high byte)
+ */
+function countFailures(pixels) {
+    const summary = {
+        samples: pixels.length / 4,
+        stack: { count: 0, nodes: new Map() },
+        timeout: { count: 0, nodes: new Map() }
+    };
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        const failure = FAILURES[pixels[i]];
+        if (!failure) continue;
+
+        const slot = pixels[i + 1] + pixels[i + 2] * 256 - 1;
+        const counts = summary[failure];
+        counts.count++;
+        counts.nodes.set(slot, (counts.nodes.get(slot) || 0) + 1);
+    }
+    return summary;
+}
+
+/**
+ * One warning per failure type in a probe summary, naming the node where
+ * most of its failures happened, e.g. "12.5% of pixels hit the stack limit
+ * at node 3". nodeName maps a slot to a display name.
+ */
+export function describeFailures(summary, nodeName) {
+    const warnings = [];
+    for (const failure of ['stack', 'timeout']) {
+        const { count, nodes } = summary[failure];
+        if (count === 0) continue;
+
+        const percent = count / summary.samples * 100;
+        const [slot] = [...nodes].reduce((most, entry) => entry[1] > most[1] ? entry : most);
+        warnings.push(`${percent < 0.1 ? '<0.1' : percent.toFixed(1)}% of pixels ` +
+                      `${FAILURE_DESCRIPTIONS[failure]} at ${nodeName(slot)}`);
+    }
+    return warnings;
+}
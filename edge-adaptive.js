@@ -0,0 +1,81 @@
+/**
+ * Edge-adaptive supersampling
+ *
+ * A two-pass alternative to supersampling every pixel. The first pass
+ * renders one sample per pixel into an offscreen target. The second pass is
+ * the normal draw with u_edgeAdaptive set: pixels whose first-pass value
+ * matches all four neighbors are copied through, and only the rest (edges)
+ * are supersampled, at up to 8x8. Flat interiors then cost one evaluation
+ * instead of N².
+ *
+ * Features thinner than a pixel can fall between first-pass samples and are
+ * not flagged; they render as in the first pass.
+ */
+
+import { createRenderTarget, deleteRenderTarget } from './webgl-utils.js';
+
+export const MAX_EDGE_SUPERSAMPLE = 8;
+
+// Neighbor difference (premultiplied, per channel) that marks an edge
+export const EDGE_THRESHOLD = 1 / 64;
+
+// The first pass's texture is bound here for the second pass. Units 0
+// (graph data) and 1 (render targets) are taken.
+const EDGE_PASS_UNIT = 2;
+
+export class EdgeAdaptivePass {
+    constructor(gl) {
+        this.gl = gl;
+        this.target = null;
+    }
+
+    /**
+     * Match the output size
+     */
+    resize(width, height) {
+        if (this.target && this.target.width === width && this.target.height === height) return;
+
+        if (this.target) deleteRenderTarget(this.gl, this.target);
+        this.target = createRenderTarget(this.gl, width, height);
+    }
+
+    /**
+     * Direct the next draw into the first-pass target, unblended. The
+     * caller sets one sample per pixel; blend state is left for it to
+     * restore. locations are the program in use's, and must include
+     * u_edgeAdaptive, u_edgePass and u_edgeThreshold.
+     */
+    beginFirstPass(locations) {
+        const gl = this.gl;
+
+        // The target's texture can't stay bound for sampling while it is
+        // rendered to
+        this.bindEdgeTexture(null);
+        gl.uniform1i(locations.u_edgeAdaptive, 0);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.target.framebuffer);
+        gl.viewport(0, 0, this.target.width, this.target.height);
+        gl.disable(gl.BLEND);
+    }
+
+    /**
+     * Return to the default framebuffer and make the next draw the second
+     * pass
+     */
+    endFirstPass(locations) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.bindEdgeTexture(this.target.texture);
+        gl.uniform1i(locations.u_edgePass, EDGE_PASS_UNIT);
+        gl.uniform1f(locations.u_edgeThreshold, EDGE_THRESHOLD);
+        gl.uniform1i(locations.u_edgeAdaptive, 1);
+    }
+
+    bindEdgeTexture(texture) {
+        const gl = this.gl;
+        const previousUnit = gl.getParameter(gl.ACTIVE_TEXTURE);
+        gl.activeTexture(gl.TEXTURE0 + EDGE_PASS_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.activeTexture(previousUnit);
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * High-resolution PNG export
+ *
+ * Renders the current program into framebuffer tiles and stitches them on a
+ * 2D canvas, so output size is not bound by the drawable size of the WebGL
+ * canvas. Each tile sets u_resolution to the full image size and
+ * u_pixelOffset to the tile's position, so pixelToMath maps every tile pixel
+ * to the same math coordinate it would have in one giant render.
+ */
+
+import { createRenderTarget, deleteRenderTarget, saveDrawState, restoreDrawState } from './webgl-utils.js';
+
+export const MAX_EXPORT_SIZE = 16384;
+const DEFAULT_TILE_SIZE = 512;
+
+// Same grey the interactive view clears to
+const BACKGROUND = [0.5, 0.5, 0.5, 1];
+
+/**
+ * Render one tile into the bound framebuffer and read it back
+ */
+function renderTile(gl, locations, options, tileX, tileY, tileWidth, tileHeight, pixels) {
+    const { size, viewport, supersampleFactor, targetSlot, transparent } = options;
+
+    gl.uniform2f(locations.u_resolution, size, size);
+    gl.uniform2f(locations.u_pixelOffset, tileX, tileY);
+    gl.uniform2f(locations.u_sampleJitter, 0, 0);
+    gl.uniform1i(locations.u_edgeAdaptive, 0);
+    gl.uniform1i(locations.u_diagnosticsMode, 0);
+    gl.uniform4f(locations.u_viewport, viewport.minX, viewport.maxX, viewport.minY, viewport.maxY);
+    gl.uniform1i(locations.u_supersampleFactor, supersampleFactor);
+    gl.uniform1i(locations.u_targetNodeId, targetSlot);
+
+    gl.viewport(0, 0, tileWidth, tileHeight);
+
+    if (transparent) {
+        // Write shader output as-is: straight alpha, which is what PNG wants
+        gl.disable(gl.BLEND);
+        gl.clearColor(0, 0, 0, 0);
+    } else {
+        // Composite over the background, keeping the result opaque
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.clearColor(...BACKGROUND);
+    }
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+    gl.readPixels(0, 0, tileWidth, tileHeight, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+}
+
+/**
+ * Render a square image of the given size in tiles and return a PNG blob.
+ *
+ * options: { size, viewport, supersampleFactor, targetSlot, transparent,
+ *            tileSize, onProgress(done, total) }
+ * locations must include u_resolution, u_pixelOffset, u_sampleJitter,
+ * u_edgeAdaptive, u_diagnosticsMode, u_viewport, u_supersampleFactor and u_targetNodeId. Graph data uniforms are expected
+ * to be uploaded already.
+ */
+export async function exportPNG(gl, program, locations, options) {
+    const { size, onProgress } = options;
+    if (!Number.isInteger(size) || size < 1 || size > MAX_EXPORT_SIZE) {
+        throw new Error(`Export size must be between 1 and ${MAX_EXPORT_SIZE} pixels`);
+    }
+
+    const tileSize = Math.min(options.tileSize || DEFAULT_TILE_SIZE,
+                              gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), size);
+    const tilesPerSide = Math.ceil(size / tileSize);
+    const totalTiles = tilesPerSide * tilesPerSide;
+
+    const output = document.createElement('canvas');
+    output.width = size;
+    output.height = size;
+    const context = output.getContext('2d');
+    if (!context) {
+        throw new Error(`Browser cannot allocate a ${size}x${size} image`);
+    }
+
+    const target = createRenderTarget(gl, tileSize, tileSize);
+    const pixels = new Uint8Array(tileSize * tileSize * 4);
+    let done = 0;
+
+    try {
+        for (let ty = 0; ty < tilesPerSide; ty++) {
+            for (let tx = 0; tx < tilesPerSide; tx++) {
+                const tileX = tx * tileSize;
+                const tileY = ty * tileSize;
+                const tileWidth = Math.min(tileSize, size - tileX);
+                const tileHeight = Math.min(tileSize, size - tileY);
+
+                const drawState = saveDrawState(gl);
+                gl.useProgram(program);
+                gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+                renderTile(gl, locations, options, tileX, tileY, tileWidth, tileHeight, pixels);
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                gl.uniform2f(locations.u_pixelOffset, 0, 0);
+                restoreDrawState(gl, drawState);
+
+                // GL rows run bottom-up; the image runs top-down
+                const image = context.createImageData(tileWidth, tileHeight);
+                for (let row = 0; row < tileHeight; row++) {
+                    const source = pixels.subarray(row * tileWidth * 4, (row + 1) * tileWidth * 4);
+                    image.data.set(source, (tileHeight - 1 - row) * tileWidth * 4);
+                }
+                context.putImageData(image, tileX, size - tileY - tileHeight);
+
+                done++;
+                if (onProgress) onProgress(done, totalTiles);
+
+                // Yield so the page stays responsive and progress can paint
+                await new Promise(resolve => requestAnimationFrame(resolve));
+            }
+        }
+    } finally {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        deleteRenderTarget(gl, target);
+    }
+
+    return new Promise((resolve, reject) => {
+        output.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error('PNG encoding failed'));
+        }, 'image/png');
+    });
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,387 @@
+/**
+ * Graph-to-GLSL compiler
+ *
+ * Generates an evaluateNode() for one graph and target node as straight-line
+ * GLSL: one function per node, parents before children, with the radial
+ * loop unrolled into one block per copy and each copy's angle folded into
+ * constants. It replaces the stack machine in fragmentShaderSource, which
+ * spends most of its time on texture lookups, branching and frame copies.
+ *
+ * Only the graph's structure is compiled in: parents, radial counts, overlap
+ * policies and which nodes have a fill. Scales, radii, rotations, fill
+ * colors and bounds are uniform arrays, so parameter edits (slider drags,
+ * animation) don't recompile. The structure key identifies when they would.
+ *
+ * The generated code has no stack or iteration limit, so it is only used
+ * for graphs small enough to unroll; larger ones keep the stack machine.
+ */
+
+import { fragmentShaderPrelude, fragmentShaderMain, vertexShaderSource } from './shaders.js';
+import { computeNodeBounds } from './node-bounds.js';
+import { countEvaluations } from './reference-evaluator.js';
+import { hexToRgb } from './palettes.js';
+import { createProgramAsync, getUniformLocations } from './webgl-utils.js';
+
+// Each node takes three uniform vectors; 64 of them stay well inside WebGL
+// 2's minimum of 224 fragment uniform vectors
+export const MAX_COMPILED_NODES = 64;
+
+// Unrolled code grows with the node evaluations per sample
+export const MAX_COMPILED_EVALUATIONS = 256;
+
+const MAX_CACHED_PROGRAMS = 8;
+
+const PARAMETER_UNIFORMS = ['u_transform', 'u_bounds', 'u_fill'];
+
+/**
+ * Nodes the target depends on (itself included), parents before children.
+ * Returns null if they form a cycle.
+ */
+function collectNodes(graph, targetNodeId) {
+    const order = [];
+    const state = new Map(); // id -> 'visiting' | 'done'
+
+    const visit = (nodeId) => {
+        if (state.get(nodeId) === 'done') return true;
+        if (state.get(nodeId) === 'visiting') return false;
+        state.set(nodeId, 'visiting');
+
+        const node = graph.getNode(nodeId);
+        for (const parentId of [node.baseParent, node.transformParent]) {
+            if (parentId !== null && graph.getNode(parentId) && !visit(parentId)) return false;
+        }
+
+        state.set(nodeId, 'done');
+        order.push(node);
+        return true;
+    };
+
+    return visit(targetNodeId) ? order : null;
+}
+
+/**
+ * Decide whether a graph and target can be compiled. Returns
+ * { key, nodeIds } (nodeIds in compile order; a node's uniform index is its
+ * position) or null to use the stack machine.
+ */
+export function analyzeGraph(graph, targetNodeId) {
+    if (!graph.getNode(targetNodeId)) return null;
+
+    const nodes = collectNodes(graph, targetNodeId);
+    if (!nodes || nodes.length > MAX_COMPILED_NODES) return null;
+    if (countEvaluations(graph, targetNodeId) > MAX_COMPILED_EVALUATIONS) return null;
+
+    // A parent id with no node reads as no parent, as it does in the shader
+    const parentIndex = (parentId) => nodes.findIndex(node => node.id === parentId);
+    const structure = nodes.map(node => [
+        parentIndex(node.baseParent), parentIndex(node.transformParent),
+        node.radialCount, node.overlap, Boolean(node.fill)
+    ]);
+
+    return { key: JSON.stringify(structure), nodeIds: nodes.map(node => node.id) };
+}
+
+/**
+ * GLSL float literal
+ */
+function glslFloat(value) {
+    const text = String(value);
+    return /[.e]/.test(text) ? text : `${text}.0`;
+}
+
+// Rounding error from cos/sin of exact angles, e.g. cos(90°) = 6e-17
+function snap(value) {
+    const rounded = Math.round(value);
+    return Math.abs(value - rounded) < 1e-12 ? rounded : value;
+}
+
+/**
+ * GLSL for a sum of constant * expression terms, leaving out zero terms and
+ * unit factors
+ */
+function linearCombination(terms) {
+    const parts = [];
+    for (const [factor, expression] of terms) {
+        if (factor === 0) continue;
+        const term = Math.abs(factor) === 1 ? expression : `${glslFloat(Math.abs(factor))} * ${expression}`;
+        parts.push(parts.length === 0 ? (factor < 0 ? `-${term}` : term) : `${factor < 0 ? '-' : '+'} ${term}`);
+    }
+    return parts.length > 0 ? parts.join(' ') : '0.0';
+}
+
+/**
+ * Statements that fold one radial copy of the transform parent into
+ * "layer". r is the point with the node's rotation undone, t the node's
+ * u_transform entry.
+ */
+function generateCopy(node, copyIndex, parentIndex) {
+    const lines = [];
+    const count = node.radialCount;
+
+    if (count === 0) {
+        // A single copy without offset: only rotation and scale
+        lines.push('q = r * t.x;');
+    } else {
+        // cos and sin of (copy angle + rotation), by angle addition
+        const angle = copyIndex * 2 * Math.PI / count;
+        const c = snap(Math.cos(angle));
+        const s = snap(Math.sin(angle));
+        const angleSum = copyIndex === 0 ? 't.zw' :
+            `vec2(${linearCombination([[c, 't.z'], [-s, 't.w']])}, ${linearCombination([[s, 't.z'], [c, 't.w']])})`;
+
+        lines.push(`cs = ${angleSum};`);
+        // Undo the move to the copy's position, at (copy angle + rotation - 90°)
+        lines.push('q = r - t.y * vec2(cs.y, -cs.x);');
+        // Undo the copy's own rotation: the node's rotation, plus the copy
+        // angle when there are several copies
+        lines.push(count > 1 ? 'q = rotateBy(q, cs.x, -cs.y) * t.x;' : 'q = rotateBy(q, t.z, -t.w) * t.x;');
+    }
+
+    lines.push(`if (!isOutside(${parentIndex}, q, pixelSize)) {`);
+    lines.push(`    layer = accumulateCopy(${overlapConstant(node)}, layer, node${parentIndex}(q, pixelSize));`);
+    lines.push('}');
+    return lines;
+}
+
+// Whether a node evaluates as the root circle: no parent that exists
+function isRoot(graph, nodeId) {
+    const node = graph.getNode(nodeId);
+    return [node.baseParent, node.transformParent].every(parentId => parentId === null || !graph.getNode(parentId));
+}
+
+function overlapConstant(node) {
+    return `OVERLAP_${node.overlap.toUpperCase()}`;
+}
+
+/**
+ * The GLSL function evaluating one node
+ */
+function generateNode(graph, node, index, indexOf) {
+    const base = indexOf(node.baseParent);
+    const transform = indexOf(node.transformParent);
+    const header = `// Node ${JSON.stringify(node.id)}\nvec4 node${index}(vec2 p, float pixelSize) {`;
+
+    if (base < 0 && transform < 0) {
+        return `${header}\n    return evaluateRootCircle(p);\n}`;
+    }
+
+    const body = [];
+    body.push('vec4 base = vec4(0.0);');
+    if (base >= 0 && isRoot(graph, node.baseParent)) {
+        // Like the stack machine, a root base parent is never culled
+        body.push(`base = node${base}(p, pixelSize);`);
+    } else if (base >= 0) {
+        body.push(`if (!isOutside(${base}, p, pixelSize)) {`);
+        body.push(`    base = node${base}(p, pixelSize);`);
+        body.push('}');
+    }
+
+    if (transform < 0) {
+        body.push('return base;');
+    } else {
+        body.push(`vec4 t = u_transform[${index}];`);
+        body.push('vec4 layer = vec4(0.0);');
+
+        // A negative radial count draws no copies
+        const copies = node.radialCount === 0 ? 1 : Math.max(node.radialCount, 0);
+        if (copies > 0) {
+            body.push('vec2 r = rotateBy(p, t.z, -t.w);');
+            if (node.radialCount > 0) body.push('vec2 cs;');
+            body.push('vec2 q;');
+        }
+        for (let i = 0; i < copies; i++) {
+            body.push(`// Copy ${i}`);
+            body.push(...generateCopy(node, i, transform));
+        }
+
+        const layerColor = node.fill ? `vec4(u_fill[${index}], layer.a)` : 'invertColor(layer)';
+        body.push(`return composite(base, ${layerColor});`);
+    }
+
+    return `${header}\n${body.map(line => `    ${line}`).join('\n')}\n}`;
+}
+
+/**
+ * evaluateNode() and its per-node functions for an analyzed graph, to sit
+ * between fragmentShaderPrelude and fragmentShaderMain
+ */
+export function generateEvaluatorSource(graph, analysis) {
+    const { nodeIds } = analysis;
+    const indexOf = (nodeId) => nodeId === null ? -1 : nodeIds.indexOf(nodeId);
+    const count = nodeIds.length;
+    const target = count - 1; // the target comes last in compile order
+
+    const functions = nodeIds.map((nodeId, index) =>
+        generateNode(graph, graph.getNode(nodeId), index, indexOf));
+
+    return `
+// ============================================================================
+// Evaluator generated by glsl-compiler.js for node ${JSON.stringify(nodeIds[target])}
+// ============================================================================
+
+// Per node: inverse scale, radial radius, cos and sin of rotation
+uniform vec4 u_transform[${count}];
+// Per node: bounding radius and fringe scale (see node-bounds.js)
+uniform vec2 u_bounds[${count}];
+// Per node: fill color, for nodes that have one
+uniform vec3 u_fill[${count}];
+
+vec2 rotateBy(vec2 p, float c, float s) {
+    return vec2(p.x * c - p.y * s, p.x * s + p.y * c);
+}
+
+bool isOutside(int index, vec2 p, float pixelSize) {
+    return length(p) > u_bounds[index].x + u_bounds[index].y * pixelSize;
+}
+
+${functions.join('\n\n')}
+
+vec4 evaluateNode(int targetNodeId, vec2 targetPos) {
+    return node${target}(targetPos, getPixelSize());
+}
+`;
+}
+
+/**
+ * Values for the generated shader's parameter uniforms from the graph's
+ * current parameters
+ */
+export function computeParameterUniforms(graph, analysis) {
+    const { nodeIds } = analysis;
+    const bounds = computeNodeBounds(graph.getAllNodes());
+    const transform = new Float32Array(nodeIds.length * 4);
+    const boundsData = new Float32Array(nodeIds.length * 2);
+    const fill = new Float32Array(nodeIds.length * 3);
+
+    nodeIds.forEach((nodeId, i) => {
+        const node = graph.getNode(nodeId);
+        const rotation = node.rotation * Math.PI / 180;
+        // The stack machine skips scales this small instead of dividing
+        transform.set([node.scale > 0.0001 ? 1 / node.scale : 1, node.radialRadius,
+                       Math.cos(rotation), Math.sin(rotation)], i * 4);
+
+        const { radius, fringeScale } = bounds.get(nodeId);
+        boundsData.set([radius, fringeScale], i * 2);
+
+        if (node.fill) fill.set(hexToRgb(node.fill), i * 3);
+    });
+
+    return { u_transform: transform, u_bounds: boundsData, u_fill: fill };
+}
+
+/**
+ * Compiled programs for the graphs and targets being viewed, by structure
+ * key. Programs compile in the background; until one is ready (or if it
+ * fails) programFor() returns null and the caller keeps using the generic
+ * shader.
+ */
+export class ShaderSpecializer {
+    /**
+     * uniformNames are the uniforms the caller sets on the generic program.
+     * attributeLocations binds the vertex attributes to the generic
+     * program's locations, so the same vertex setup works for both.
+     * onReady() fires when a program has finished compiling, onError(error)
+     * when one failed; the generic shader is used for its graphs then.
+     */
+    constructor(gl, uniformNames, attributeLocations, onReady, onError) {
+        this.gl = gl;
+        this.uniformNames = uniformNames;
+        this.attributeLocations = attributeLocations;
+        this.onReady = onReady;
+        this.onError = onError;
+        this.entries = new Map(); // key -> { status, program, locations }, least recently used first
+        this.current = null; // { graph, targetNodeId, analysis, parameters } of the last programFor()
+    }
+
+    /**
+     * Drop the cached analysis and parameters after the graph changed.
+     * Until then programFor() reuses them, so unchanged frames cost no
+     * graph traversal.
+     */
+    invalidate() {
+        this.current = null;
+    }
+
+    /**
+     * { program, locations, analysis, parameters } for the graph and target,
+     * or null to use the generic shader for now
+     */
+    programFor(graph, targetNodeId) {
+        const current = this.current;
+        if (!current || current.graph !== graph || current.targetNodeId !== targetNodeId) {
+            this.current = { graph, targetNodeId, analysis: analyzeGraph(graph, targetNodeId), parameters: null };
+        }
+        const { analysis } = this.current;
+        if (!analysis) return null;
+
+        let entry = this.entries.get(analysis.key);
+        if (entry) {
+            // Mark as most recently used
+            this.entries.delete(analysis.key);
+            this.entries.set(analysis.key, entry);
+        } else {
+            entry = this.compile(graph, analysis);
+        }
+
+        if (entry.status !== 'ready') return null;
+
+        if (!this.current.parameters) {
+            this.current.parameters = computeParameterUniforms(graph, analysis);
+        }
+        return {
+            program: entry.program,
+            locations: entry.locations,
+            analysis,
+            parameters: this.current.parameters
+        };
+    }
+
+    /**
+     * Set the parameter uniforms of a program from programFor(), which must
+     * be in use
+     */
+    setParameters(specialized) {
+        const gl = this.gl;
+        const { locations, parameters } = specialized;
+        gl.uniform4fv(locations.u_transform, parameters.u_transform);
+        gl.uniform2fv(locations.u_bounds, parameters.u_bounds);
+        gl.uniform3fv(locations.u_fill, parameters.u_fill);
+    }
+
+    compile(graph, analysis) {
+        const gl = this.gl;
+        const entry = { status: 'compiling', program: null, locations: null };
+        this.entries.set(analysis.key, entry);
+        this.evict();
+
+        const source = fragmentShaderPrelude + generateEvaluatorSource(graph, analysis) + fragmentShaderMain;
+        createProgramAsync(gl, vertexShaderSource, source, this.attributeLocations).then(program => {
+            if (entry.status === 'evicted') {
+                gl.deleteProgram(program);
+                return;
+            }
+            entry.program = program;
+            entry.locations = getUniformLocations(gl, program, [...this.uniformNames, ...PARAMETER_UNIFORMS]);
+            entry.status = 'ready';
+            this.onReady();
+        }).catch(error => {
+            // The generic shader keeps working; this is only slower
+            if (entry.program) gl.deleteProgram(entry.program);
+            entry.program = null;
+            entry.status = 'failed';
+            this.onError(error);
+        });
+
+        return entry;
+    }
+
+    // Drop the least recently used programs beyond MAX_CACHED_PROGRAMS
+    evict() {
+        for (const [key, entry] of this.entries) {
+            if (this.entries.size <= MAX_CACHED_PROGRAMS) break;
+            if (entry.program) this.gl.deleteProgram(entry.program);
+            entry.status = 'evicted';
+            this.entries.delete(key);
+        }
+    }
+}
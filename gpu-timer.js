@@ -0,0 +1,95 @@
+/**
+ * GPU frame timing
+ *
+ * Wraps draws in EXT_disjoint_timer_query_webgl2 queries where the browser
+ * exposes the extension. Elsewhere it falls back to a fence after the draw
+ * and measures the CPU time until the fence signals, which also counts
+ * queueing and polling delay and so reads high.
+ *
+ * Results arrive asynchronously (queries are only readable in a later task),
+ * so the timer polls pending measurements itself and reports each one to
+ * onResult(milliseconds).
+ */
+
+export class GpuTimer {
+    constructor(gl, onResult) {
+        this.gl = gl;
+        this.onResult = onResult;
+        this.ext = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+        this.method = this.ext ? 'timer query' : 'CPU fence';
+
+        this.active = null; // measurement between begin() and end()
+        this.pending = []; // ended measurements, oldest first
+        this.pollTimer = null;
+    }
+
+    /**
+     * Start timing. Nested begin() calls are ignored, as only one timer
+     * query can be active at a time.
+     */
+    begin() {
+        if (this.active) return;
+
+        if (this.ext) {
+            const query = this.gl.createQuery();
+            this.gl.beginQuery(this.ext.TIME_ELAPSED_EXT, query);
+            this.active = { query };
+        } else {
+            this.active = { start: performance.now() };
+        }
+    }
+
+    end() {
+        if (!this.active) return;
+        const gl = this.gl;
+
+        if (this.ext) {
+            gl.endQuery(this.ext.TIME_ELAPSED_EXT);
+        } else {
+            this.active.fence = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+            gl.flush();
+        }
+        this.pending.push(this.active);
+        this.active = null;
+        this.schedulePoll();
+    }
+
+    schedulePoll() {
+        if (this.pollTimer !== null) return;
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            this.poll();
+        }, 0);
+    }
+
+    /**
+     * Report every finished measurement, in order
+     */
+    poll() {
+        const gl = this.gl;
+
+        // A disjoint event (GPU clock change, context switch) makes the
+        // results of queries in flight meaningless; they are dropped.
+        const disjoint = this.ext && gl.getParameter(this.ext.GPU_DISJOINT_EXT);
+
+        while (this.pending.length > 0) {
+            const measurement = this.pending[0];
+            let time;
+
+            if (this.ext) {
+                if (!gl.getQueryParameter(measurement.query, gl.QUERY_RESULT_AVAILABLE) && !disjoint) break;
+                time = disjoint ? null : gl.getQueryParameter(measurement.query, gl.QUERY_RESULT) / 1e6;
+                gl.deleteQuery(measurement.query);
+            } else {
+                if (gl.getSyncParameter(measurement.fence, gl.SYNC_STATUS) !== gl.SIGNALED) break;
+                time = performance.now() - measurement.start;
+                gl.deleteSync(measurement.fence);
+            }
+
+            this.pending.shift();
+            if (time !== null) this.onResult(time);
+        }
+
+        if (this.pending.length > 0) this.schedulePoll();
+    }
+}
@@ -0,0 +1,272 @@
+/**
+ * Node-graph diagram panel
+ *
+ * Draws the graph as an SVG DAG: the root on top, each node one row below
+ * its deepest parent. Base edges are solid, transform edges dashed. Click a
+ * node to select it; drag from one node onto another to make the first the
+ * second's parent.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const NODE_RADIUS = 14;
+const ROW_HEIGHT = 60;
+const PADDING = 24;
+const EDGE_BEND = 14; // sideways offset so base and transform edges don't overlap
+const CLICK_TOLERANCE = 4; // pixels of movement still treated as a click
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes)) {
+        element.setAttribute(name, value);
+    }
+    return element;
+}
+
+/**
+ * Depth of every node: 0 for the root, else one more than its deepest parent
+ */
+function computeDepths(graph) {
+    const depths = new Map();
+
+    const depthOf = (nodeId) => {
+        if (depths.has(nodeId)) return depths.get(nodeId);
+        depths.set(nodeId, 0); // guards against cycles in an unvalidated graph
+        const node = graph.getNode(nodeId);
+        let depth = 0;
+        for (const parentId of [node.baseParent, node.transformParent]) {
+            if (parentId !== null && graph.getNode(parentId)) {
+                depth = Math.max(depth, depthOf(parentId) + 1);
+            }
+        }
+        depths.set(nodeId, depth);
+        return depth;
+    };
+
+    graph.getAllNodes().forEach(node => depthOf(node.id));
+    return depths;
+}
+
+/**
+ * Position nodes row by row, ordering each row by the mean x of its parents
+ * to keep edge crossings down. Returns Map id -> { x, y } and the height.
+ */
+export function layoutGraph(graph, width) {
+    const depths = computeDepths(graph);
+    const rows = [];
+    for (const node of graph.getAllNodes()) {
+        const depth = depths.get(node.id);
+        (rows[depth] = rows[depth] || []).push(node);
+    }
+
+    const positions = new Map();
+    rows.forEach((row, depth) => {
+        const parentX = (node) => {
+            const xs = [node.baseParent, node.transformParent]
+                .filter(id => id !== null && positions.has(id))
+                .map(id => positions.get(id).x);
+            return xs.length > 0 ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+        };
+        row.sort((a, b) => parentX(a) - parentX(b));
+
+        row.forEach((node, i) => {
+            positions.set(node.id, {
+                x: (i + 1) * width / (row.length + 1),
+                y: PADDING + depth * ROW_HEIGHT
+            });
+        });
+    });
+
+    return { positions, height: PADDING * 2 + Math.max(rows.length - 1, 0) * ROW_HEIGHT };
+}
+
+export class GraphDiagram {
+    /**
+     * callbacks: onSelect(nodeId), onConnect(parentId, childId),
+     * checkConnection(parentId, childId) -> error message or null
+     */
+    constructor(svg, callbacks) {
+        this.svg = svg;
+        this.callbacks = callbacks;
+        this.nodeIds = []; // index (data-node-index) -> node id
+        this.positions = new Map();
+        this.drag = null;
+
+        svg.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        svg.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        svg.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        svg.addEventListener('pointercancel', () => this.cancelDrag());
+    }
+
+    /**
+     * problems maps node ids to 'error' or 'warning' to flag those nodes
+     */
+    render(graph, selectedNodeId, problems = new Map()) {
+        this.cancelDrag();
+        this.svg.innerHTML = '';
+        if (!graph) return;
+
+        const width = this.svg.clientWidth || 300;
+        const { positions, height } = layoutGraph(graph, width);
+        this.positions = positions;
+        this.nodeIds = graph.getAllNodes().map(node => node.id);
+        this.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.svg.setAttribute('height', height);
+
+        const defs = createSvgElement('defs');
+        defs.appendChild(this.createArrowMarker('diagram-arrow-base', 'base'));
+        defs.appendChild(this.createArrowMarker('diagram-arrow-transform', 'transform'));
+        this.svg.appendChild(defs);
+
+        // Edges first so nodes draw over them
+        for (const node of graph.getAllNodes()) {
+            if (node.baseParent !== null && positions.has(node.baseParent)) {
+                this.svg.appendChild(this.createEdge(node.baseParent, node.id, 'base', -EDGE_BEND));
+            }
+            if (node.transformParent !== null && positions.has(node.transformParent)) {
+                this.svg.appendChild(this.createEdge(node.transformParent, node.id, 'transform', EDGE_BEND));
+            }
+        }
+
+        graph.getAllNodes().forEach((node, index) => {
+            const { x, y } = positions.get(node.id);
+            const group = createSvgElement('g', {
+                class: 'diagram-node' + (node.id === selectedNodeId ? ' selected' : '') +
+                       (node.isRoot() ? ' root' : '') +
+                       (problems.has(node.id) ? ` ${problems.get(node.id)}` : ''),
+                'data-node-index': index,
+                transform: `translate(${x}, ${y})`
+            });
+            group.appendChild(createSvgElement('circle', { r: NODE_RADIUS }));
+
+            const label = createSvgElement('text', { 'text-anchor': 'middle', dy: '0.35em' });
+            const text = String(node.id);
+            label.textContent = text.length > 4 ? text.slice(0, 3) + '…' : text;
+            group.appendChild(label);
+
+            const title = createSvgElement('title');
+            title.textContent = node.comment ? `Node ${node.id}: ${node.comment}` : `Node ${node.id}`;
+            group.appendChild(title);
+
+            this.svg.appendChild(group);
+        });
+    }
+
+    createArrowMarker(id, kind) {
+        const marker = createSvgElement('marker', {
+            id,
+            class: `diagram-marker ${kind}`,
+            viewBox: '0 0 10 10',
+            refX: 10,
+            refY: 5,
+            markerWidth: 6,
+            markerHeight: 6,
+            orient: 'auto'
+        });
+        marker.appendChild(createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z' }));
+        return marker;
+    }
+
+    /**
+     * Curved edge from parent to child, stopping at the child's circle
+     */
+    createEdge(parentId, childId, kind, bend) {
+        const from = this.positions.get(parentId);
+        const to = this.positions.get(childId);
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+
+        // Control point offset perpendicular to the edge
+        const cx = (from.x + to.x) / 2 - dy / length * bend;
+        const cy = (from.y + to.y) / 2 + dx / length * bend;
+
+        // Shorten the end so the arrowhead sits on the circle's edge
+        const ex = to.x - cx;
+        const ey = to.y - cy;
+        const endLength = Math.hypot(ex, ey) || 1;
+        const endX = to.x - ex / endLength * NODE_RADIUS;
+        const endY = to.y - ey / endLength * NODE_RADIUS;
+
+        return createSvgElement('path', {
+            class: `diagram-edge ${kind}`,
+            d: `M ${from.x} ${from.y} Q ${cx} ${cy} ${endX} ${endY}`,
+            'marker-end': `url(#diagram-arrow-${kind})`
+        });
+    }
+
+    // Node id under a client position, or undefined
+    nodeAt(clientX, clientY) {
+        const element = document.elementFromPoint(clientX, clientY);
+        const group = element && element.closest('.diagram-node');
+        return group ? this.nodeIds[Number(group.getAttribute('data-node-index'))] : undefined;
+    }
+
+    // Client coordinates to SVG user coordinates
+    toSvgPoint(clientX, clientY) {
+        const point = new DOMPoint(clientX, clientY).matrixTransform(this.svg.getScreenCTM().inverse());
+        return { x: point.x, y: point.y };
+    }
+
+    handlePointerDown(e) {
+        const nodeId = this.nodeAt(e.clientX, e.clientY);
+        if (nodeId === undefined) return;
+
+        this.svg.setPointerCapture(e.pointerId);
+        this.drag = { sourceId: nodeId, startX: e.clientX, startY: e.clientY, line: null, targetId: undefined };
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        const moved = Math.hypot(e.clientX - this.drag.startX, e.clientY - this.drag.startY);
+        if (!this.drag.line && moved <= CLICK_TOLERANCE) return;
+
+        const from = this.positions.get(this.drag.sourceId);
+        const to = this.toSvgPoint(e.clientX, e.clientY);
+        if (!this.drag.line) {
+            this.drag.line = createSvgElement('line', { class: 'diagram-drag-line' });
+            this.svg.appendChild(this.drag.line);
+        }
+        this.drag.line.setAttribute('x1', from.x);
+        this.drag.line.setAttribute('y1', from.y);
+        this.drag.line.setAttribute('x2', to.x);
+        this.drag.line.setAttribute('y2', to.y);
+
+        // Show whether dropping here would be accepted
+        const targetId = this.nodeAt(e.clientX, e.clientY);
+        if (targetId !== this.drag.targetId) {
+            this.drag.targetId = targetId;
+            const problem = targetId !== undefined && targetId !== this.drag.sourceId ?
+                this.callbacks.checkConnection(this.drag.sourceId, targetId) : null;
+            this.drag.line.classList.toggle('invalid', problem !== null);
+            this.drag.line.replaceChildren();
+            if (problem) {
+                const title = createSvgElement('title');
+                title.textContent = problem;
+                this.drag.line.appendChild(title);
+            }
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.drag) return;
+
+        const { sourceId, line } = this.drag;
+        const targetId = this.nodeAt(e.clientX, e.clientY);
+        this.cancelDrag();
+
+        if (!line) {
+            this.callbacks.onSelect(sourceId);
+        } else if (targetId !== undefined && targetId !== sourceId) {
+            this.callbacks.onConnect(sourceId, targetId);
+        }
+    }
+
+    cancelDrag() {
+        if (this.drag && this.drag.line) {
+            this.drag.line.remove();
+        }
+        this.drag = null;
+    }
+}
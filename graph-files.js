@@ -0,0 +1,69 @@
+/**
+ * Opening and saving graph JSON files
+ *
+ * Uses the File System Access API where the browser has it, so saving
+ * shows a real save dialog, and falls back to a file input and a download
+ * link elsewhere.
+ */
+
+import { downloadBlob } from './export-png.js';
+
+const FILE_TYPES = [{ description: 'Graph JSON', accept: { 'application/json': ['.json'] } }];
+
+export function isJsonFile(file) {
+    return file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+}
+
+// File name without its .json extension
+export function baseFileName(file) {
+    return file.name.replace(/\.json$/i, '');
+}
+
+/**
+ * Ask the user for one or more files. Resolves to a (possibly empty)
+ * array of File objects.
+ */
+export async function pickGraphFiles() {
+    if (window.showOpenFilePicker) {
+        try {
+            const handles = await window.showOpenFilePicker({ multiple: true, types: FILE_TYPES });
+            return Promise.all(handles.map(handle => handle.getFile()));
+        } catch (error) {
+            if (error.name === 'AbortError') return [];
+            throw error;
+        }
+    }
+
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.multiple = true;
+        input.addEventListener('change', () => resolve(Array.from(input.files)));
+        input.addEventListener('cancel', () => resolve([]));
+        input.click();
+    });
+}
+
+/**
+ * Save text as a .json file. Resolves to false if the user cancelled.
+ */
+export async function saveGraphFile(text, suggestedName) {
+    const fileName = suggestedName.replace(/[\\/:*?"<>|]/g, '-') + '.json';
+
+    if (window.showSaveFilePicker) {
+        try {
+            const handle = await window.showSaveFilePicker({ suggestedName: fileName, types: FILE_TYPES });
+            const writable = await handle.createWritable();
+            await writable.write(text);
+            await writable.close();
+            return true;
+        } catch (error) {
+            if (error.name === 'AbortError') return false;
+            throw error;
+        }
+    }
+
+    downloadBlob(new Blob([text], { type: 'application/json' }), fileName);
+    return true;
+}
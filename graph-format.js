@@ -0,0 +1,104 @@
+/**
+ * Graph file format versions and migrations
+ *
+ * Files carry a top-level "format_version". Files without one are version 1
+ * (the original RGA-compatible format). Loading runs the migrations from the
+ * file's version up to FORMAT_VERSION one step at a time, so each migration
+ * only has to know about its neighbouring versions. The current format is
+ * described by graph.schema.json.
+ *
+ * Version history:
+ *   1 - no format_version; a scale of 0 (or none) means 1.0
+ *   2 - format_version added; scale defaults to 1.0 only when absent
+ */
+
+export const FORMAT_VERSION = 2;
+
+// Fields the current format understands. "$schema" lets files point editors
+// at graph.schema.json.
+const TOP_LEVEL_FIELDS = new Set(['$schema', 'format_version', 'palette', 'nodes', 'view']);
+const NODE_FIELDS = new Set([
+    'id', 'base_parent', 'transform_parent', 'scale', 'radial_radius', 'radial_count',
+    'rotation', 'overlap', 'fill', 'keyframes', 'comment'
+]);
+
+/**
+ * MIGRATIONS[n] upgrades a version n file to version n + 1. Each receives
+ * a copy it may modify and returns the upgraded data.
+ */
+const MIGRATIONS = {
+    1: (data) => {
+        for (const node of data.nodes) {
+            if (node.scale === undefined || node.scale === 0) {
+                node.scale = 1.0;
+            }
+        }
+        return data;
+    }
+};
+
+/**
+ * The format version of raw file data
+ */
+export function getFormatVersion(data) {
+    const version = data.format_version !== undefined ? data.format_version : 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error('format_version must be a positive integer');
+    }
+    if (version > FORMAT_VERSION) {
+        throw new Error(`File format version ${version} is newer than this app supports (${FORMAT_VERSION})`);
+    }
+    return version;
+}
+
+/**
+ * Upgrade raw file data to FORMAT_VERSION. The input is not modified.
+ */
+export function migrateGraphData(data) {
+    let version = getFormatVersion(data);
+    let migrated = structuredClone(data);
+
+    while (version < FORMAT_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version++;
+    }
+
+    migrated.format_version = FORMAT_VERSION;
+    return migrated;
+}
+
+/**
+ * Warnings for fields the format doesn't define. Such fields are ignored on
+ * load and not written back out.
+ * Each warning is { code, nodeId, field, message }; nodeId is null for
+ * top-level fields.
+ */
+export function findUnknownFields(data) {
+    const warnings = [];
+
+    for (const field of Object.keys(data)) {
+        if (!TOP_LEVEL_FIELDS.has(field)) {
+            warnings.push({
+                code: 'unknown_field',
+                nodeId: null,
+                field,
+                message: `Unknown top-level field "${field}" was ignored`
+            });
+        }
+    }
+
+    for (const node of data.nodes) {
+        for (const field of Object.keys(node)) {
+            if (!NODE_FIELDS.has(field)) {
+                warnings.push({
+                    code: 'unknown_field',
+                    nodeId: node.id,
+                    field,
+                    message: `Node ${node.id}: unknown field "${field}" was ignored`
+                });
+            }
+        }
+    }
+
+    return warnings;
+}
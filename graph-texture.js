@@ -0,0 +1,97 @@
+/**
+ * Texture encoding of graph node data
+ *
+ * Each node occupies NODE_TEXELS consecutive RGBA32F texels, laid out row by
+ * row. The fragment shader reads them back with texelFetch, so graph size is
+ * bounded only by the maximum texture size.
+ *
+ * Texel layout per node:
+ *   0: baseParent, transformParent, radialCount, overlap policy
+ *   1: scale, radialRadius, rotation, unused
+ *   2: fill r, g, b, hasFill (1 when the node overrides the palette)
+ *   3: bounding radius, fringe scale, unused, unused (see node-bounds.js)
+ */
+
+import { hexToRgb } from './palettes.js';
+import { OVERLAP_POLICIES } from './graph.js';
+import { computeNodeBounds, EMPTY_BOUNDS } from './node-bounds.js';
+
+export const NODE_TEXELS = 4;
+const FLOATS_PER_TEXEL = 4;
+
+/**
+ * Pack nodes into a Float32Array sized for a texture no wider than maxWidth.
+ * Each node is written to its slot from the SlotAllocator, and parent
+ * references are remapped to slots. Missing parents are encoded as -1.
+ */
+export function encodeGraphData(nodes, slots, maxWidth) {
+    const slotCount = slots.size;
+    const texelCount = Math.max(slotCount, 1) * NODE_TEXELS;
+    const width = Math.min(texelCount, maxWidth);
+    const height = Math.ceil(texelCount / width);
+
+    if (height > maxWidth) {
+        throw new Error(`Graph too large for GPU: ${slotCount} nodes exceed texture limits`);
+    }
+
+    const data = new Float32Array(width * height * FLOATS_PER_TEXEL);
+
+    // Unused slots read as empty nodes (no parents, scale 1)
+    for (let slot = 0; slot < slotCount; slot++) {
+        const offset = slot * NODE_TEXELS * FLOATS_PER_TEXEL;
+        data[offset] = -1;
+        data[offset + 1] = -1;
+        data[offset + 4] = 1.0;
+        data[offset + 12] = EMPTY_BOUNDS.radius;
+        data[offset + 13] = EMPTY_BOUNDS.fringeScale;
+    }
+
+    const bounds = computeNodeBounds(nodes);
+
+    for (const node of nodes) {
+        const offset = slots.getSlot(node.id) * NODE_TEXELS * FLOATS_PER_TEXEL;
+        data[offset] = slots.getSlot(node.baseParent);
+        data[offset + 1] = slots.getSlot(node.transformParent);
+        data[offset + 2] = node.radialCount;
+        data[offset + 3] = OVERLAP_POLICIES.indexOf(node.overlap);
+        data[offset + 4] = node.scale;
+        data[offset + 5] = node.radialRadius;
+        data[offset + 6] = node.rotation;
+
+        if (node.fill) {
+            const [r, g, b] = hexToRgb(node.fill);
+            data[offset + 8] = r;
+            data[offset + 9] = g;
+            data[offset + 10] = b;
+            data[offset + 11] = 1.0;
+        }
+
+        const { radius, fringeScale } = bounds.get(node.id);
+        data[offset + 12] = radius;
+        data[offset + 13] = fringeScale;
+    }
+
+    return { data, width, height, nodeCount: slotCount };
+}
+
+/**
+ * Create a texture suitable for texelFetch lookups of float data
+ */
+export function createGraphTexture(gl) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+/**
+ * Upload encoded graph data into the texture in a single call
+ */
+export function uploadGraphTexture(gl, texture, encoded) {
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, encoded.width, encoded.height, 0,
+                  gl.RGBA, gl.FLOAT, encoded.data);
+}
@@ -1,9 +1,66 @@
+import { parsePalette, paletteToJSON, isHexColor, PALETTES, DEFAULT_PALETTE_NAME } from './palettes.js';
+import { parseKeyframes, keyframesToJSON } from './animation.js';
+import { FORMAT_VERSION, migrateGraphData, findUnknownFields } from './graph-format.js';
+
+/**
+ * Check that a value is usable as a node ID (an integer or a non-empty string)
+ */
+export function isValidNodeId(id) {
+    return Number.isInteger(id) || (typeof id === 'string' && id.length > 0);
+}
+
+/**
+ * How overlapping radial copies of the transform parent combine.
+ * The array index is the code uploaded to the shader.
+ *   max_alpha - keep the copy with the highest alpha
+ *   first     - the first copy that covers the point wins
+ *   last      - the last copy that covers the point wins (layer-draw order)
+ *   over      - composite copies over each other in order
+ *   add       - sum copies additively
+ */
+export const OVERLAP_POLICIES = ['max_alpha', 'first', 'last', 'over', 'add'];
+export const DEFAULT_OVERLAP_POLICY = 'max_alpha';
+
+// Scales at or below this are not applied by the evaluators (the node
+// renders at scale 1), so they are rejected
+export const MIN_SCALE = 0.0001;
+
+// Below this magnitude a node's scale is reported as near zero
+const SCALE_EPSILON = 1e-3;
+
+// Node property -> JSON field for the two parent references
+const PARENT_FIELDS = [['baseParent', 'base_parent'], ['transformParent', 'transform_parent']];
+
+/**
+ * A validation problem. code is machine-readable; nodeId and field are null
+ * when the problem isn't tied to one node or field.
+ */
+function createIssue(code, nodeId, field, message) {
+    return { code, nodeId, field, message };
+}
+
+/**
+ * Thrown when a graph has validation errors. The message describes the
+ * first error; report holds { errors, warnings } with every problem found.
+ */
+export class GraphValidationError extends Error {
+    constructor(report) {
+        const more = report.errors.length - 1;
+        super(more > 0 ?
+            `${report.errors[0].message} (and ${more} more ${more === 1 ? 'error' : 'errors'})` :
+            report.errors[0].message);
+        this.name = 'GraphValidationError';
+        this.report = report;
+    }
+}
+
 /**
  * Represents a single node in the graph
  */
 export class Node {
     constructor(id, baseParent = null, transformParent = null,
-                scale = 1.0, radialRadius = 0, radialCount = 0, rotation = 0, comment = null) {
+                scale = 1.0, radialRadius = 0, radialCount = 0, rotation = 0, comment = null,
+                fill = null, overlap = DEFAULT_OVERLAP_POLICY, keyframes = {}) {
         this.id = id;
         this.baseParent = baseParent;
         this.transformParent = transformParent;
@@ -12,6 +69,9 @@ export class Node {
         this.radialCount = radialCount;
         this.rotation = rotation;
         this.comment = comment;
+        this.fill = fill; // optional #rrggbb overriding the palette for this node
+        this.overlap = overlap; // one of OVERLAP_POLICIES
+        this.keyframes = keyframes; // property -> [{ time, value, easing }]
     }
 
     /**
@@ -29,6 +89,7 @@ export class Graph {
     constructor() {
         this.nodes = new Map(); // id -> Node
         this.rootNode = null;
+        this.palette = PALETTES[DEFAULT_PALETTE_NAME].slice(); // [ink, paper]
     }
 
     /**
@@ -38,6 +99,15 @@ export class Graph {
         this.nodes.set(node.id, node);
     }
 
+    /**
+     * Whether a node's id reads the same as id. 1 and "1" are different
+     * keys but look alike in the UI and in option values, so they may not
+     * both be used.
+     */
+    hasIdLike(id) {
+        return this.getAllNodes().some(node => String(node.id) === String(id));
+    }
+
     /**
      * Get a node by ID
      */
@@ -53,142 +123,325 @@ export class Graph {
     }
 
     /**
-     * Load graph from JSON and validate
+     * Load graph from JSON and validate. Older format versions are migrated
+     * first. Throws a GraphValidationError carrying the full report if there
+     * are errors; warnings are appended to the given array.
      */
-    static fromJSON(jsonData) {
-        if (!jsonData.nodes || !Array.isArray(jsonData.nodes)) {
-            throw new Error('JSON must contain a "nodes" array');
+    static fromJSON(jsonData, warnings = []) {
+        const { graph, report } = Graph.parseJSON(jsonData);
+        if (report.errors.length > 0) {
+            throw new GraphValidationError(report);
         }
+        warnings.push(...report.warnings);
+        return graph;
+    }
 
+    /**
+     * Load graph from JSON, collecting every problem instead of stopping at
+     * the first. Returns { graph, report }; the graph is built from the
+     * usable parts of the file and is only safe to render when
+     * report.errors is empty.
+     */
+    static parseJSON(jsonData) {
         const graph = new Graph();
+        const errors = [];
+        const warnings = [];
+        const result = () => ({ graph, report: { errors, warnings } });
+
+        if (!jsonData || typeof jsonData !== 'object' || !Array.isArray(jsonData.nodes)) {
+            errors.push(createIssue('invalid_file', null, 'nodes', 'JSON must contain a "nodes" array'));
+            return result();
+        }
+        if (!jsonData.nodes.every(nodeData => nodeData && typeof nodeData === 'object')) {
+            errors.push(createIssue('invalid_file', null, 'nodes', 'Each entry in "nodes" must be an object'));
+            return result();
+        }
+
+        warnings.push(...findUnknownFields(jsonData));
+        try {
+            jsonData = migrateGraphData(jsonData);
+        } catch (error) {
+            errors.push(createIssue('unsupported_version', null, 'format_version', error.message));
+            return result();
+        }
+
+        try {
+            graph.palette = parsePalette(jsonData.palette);
+        } catch (error) {
+            errors.push(createIssue('invalid_palette', null, 'palette', error.message));
+        }
 
         // First pass: create all nodes with parameter defaults
         for (const nodeData of jsonData.nodes) {
-            if (nodeData.id === undefined || nodeData.id === null) {
-                throw new Error('Each node must have an "id" field');
+            const id = nodeData.id;
+            if (id === undefined || id === null) {
+                errors.push(createIssue('missing_id', null, 'id', 'Each node must have an "id" field'));
+                continue;
+            }
+            if (!isValidNodeId(id)) {
+                errors.push(createIssue('invalid_id', null, 'id',
+                    `Node id ${JSON.stringify(id)} must be an integer or a non-empty string`));
+                continue;
+            }
+            if (graph.hasIdLike(id)) {
+                errors.push(createIssue('duplicate_id', id, 'id', `Duplicate node id ${JSON.stringify(id)}`));
+                continue;
             }
 
-            const id = nodeData.id;
+            const fieldError = (field, message) => {
+                errors.push(createIssue('invalid_value', id, field, `Node ${id}: ${message}`));
+            };
+
+            // Numbers fall back to their default if missing or malformed
+            const readNumber = (field, defaultValue) => {
+                const value = nodeData[field];
+                if (value === undefined) return defaultValue;
+                if (!Number.isFinite(value)) {
+                    fieldError(field, `${field} must be a number`);
+                    return defaultValue;
+                }
+                return value;
+            };
+
             const baseParent = nodeData.base_parent !== undefined ? nodeData.base_parent : null;
             const transformParent = nodeData.transform_parent !== undefined ? nodeData.transform_parent : null;
 
-            // Apply defaults: scale 0 -> 1.0, others default to 0
-            let scale = nodeData.scale !== undefined ? nodeData.scale : 0;
-            if (scale === 0) scale = 1.0;
-
-            const radialRadius = nodeData.radial_radius !== undefined ? nodeData.radial_radius : 0;
-            const radialCount = nodeData.radial_count !== undefined ? nodeData.radial_count : 0;
-            const rotation = nodeData.rotation !== undefined ? nodeData.rotation : 0;
+            // Apply defaults: scale 1.0, others 0
+            const scale = readNumber('scale', 1.0);
+            const radialRadius = readNumber('radial_radius', 0);
+            const radialCount = readNumber('radial_count', 0);
+            const rotation = readNumber('rotation', 0);
             const comment = nodeData.comment !== undefined ? nodeData.comment : null;
-
-            // Validate non-negative constraints
-            if (scale < 0) {
-                throw new Error(`Node ${id}: scale must be non-negative`);
+            let fill = nodeData.fill !== undefined ? nodeData.fill : null;
+            let overlap = nodeData.overlap !== undefined ? nodeData.overlap : DEFAULT_OVERLAP_POLICY;
+
+            let keyframes = {};
+            try {
+                keyframes = parseKeyframes(nodeData.keyframes, id);
+            } catch (error) {
+                errors.push(createIssue('invalid_keyframes', id, 'keyframes', error.message));
             }
+
+            // Validate non-negative constraints (scale is checked with the
+            // structure below, as it can also be edited)
             if (radialRadius < 0) {
-                throw new Error(`Node ${id}: radial_radius must be non-negative`);
+                fieldError('radial_radius', 'radial_radius must be non-negative');
+            }
+            if (!Number.isInteger(radialCount)) {
+                fieldError('radial_count', 'radial_count must be a whole number');
+            }
+            if (fill !== null && !isHexColor(fill)) {
+                fieldError('fill', 'fill must be a #rrggbb color');
+                fill = null;
+            }
+            if (!OVERLAP_POLICIES.includes(overlap)) {
+                fieldError('overlap', `overlap must be one of ${OVERLAP_POLICIES.join(', ')}`);
+                overlap = DEFAULT_OVERLAP_POLICY;
             }
 
             const node = new Node(id, baseParent, transformParent,
-                                 scale, radialRadius, radialCount, rotation, comment);
+                                 scale, radialRadius, radialCount, rotation, comment, fill, overlap,
+                                 keyframes);
             graph.addNode(node);
         }
 
         // Validate the graph structure
-        graph.validate();
+        const structure = graph.getValidationReport();
+        errors.push(...structure.errors);
+        warnings.push(...structure.warnings);
 
-        return graph;
+        if (errors.length === 0) {
+            graph.rootNode = graph.getAllNodes().find(node => node.isRoot());
+        }
+
+        return result();
     }
 
     /**
-     * Validate the graph structure
+     * Serialize to the JSON file format (inverse of fromJSON)
+     */
+    toJSON() {
+        const nodes = this.getAllNodes().map(node => ({
+            id: node.id,
+            base_parent: node.baseParent,
+            transform_parent: node.transformParent,
+            scale: node.scale,
+            radial_radius: node.radialRadius,
+            radial_count: node.radialCount,
+            rotation: node.rotation,
+            ...(node.overlap !== DEFAULT_OVERLAP_POLICY && { overlap: node.overlap }),
+            ...(node.fill && { fill: node.fill }),
+            ...(Object.keys(node.keyframes).length > 0 && { keyframes: keyframesToJSON(node.keyframes) }),
+            ...(node.comment && { comment: node.comment })
+        }));
+
+        return { format_version: FORMAT_VERSION, palette: paletteToJSON(this.palette), nodes };
+    }
+
+    /**
+     * Validate the graph structure, throwing a GraphValidationError with
+     * the full report if there are errors
      */
     validate() {
-        // Find root nodes
-        const rootNodes = this.getAllNodes().filter(node => node.isRoot());
+        const report = this.getValidationReport();
+        if (report.errors.length > 0) {
+            throw new GraphValidationError(report);
+        }
 
-        // Validate exactly one root
+        this.rootNode = this.getAllNodes().find(node => node.isRoot());
+    }
+
+    /**
+     * Every structural error and parameter warning in the graph.
+     * Returns { errors, warnings }, lists of { code, nodeId, field, message }
+     * (cycle errors also carry the cycle as path).
+     */
+    getValidationReport() {
+        const errors = [];
+        const warnings = [];
+        const nodes = this.getAllNodes();
+
+        // Exactly one root
+        const rootNodes = nodes.filter(node => node.isRoot());
         if (rootNodes.length === 0) {
-            throw new Error('Graph must have exactly one root node (node with no parents)');
+            errors.push(createIssue('no_root', null, null,
+                'Graph must have exactly one root node (node with no parents)'));
         }
         if (rootNodes.length > 1) {
-            throw new Error(`Graph must have exactly one root node, found ${rootNodes.length}`);
+            for (const root of rootNodes) {
+                errors.push(createIssue('multiple_roots', root.id, null,
+                    `Graph must have exactly one root node, found ${rootNodes.length} (node ${root.id} has no parents)`));
+            }
         }
 
-        this.rootNode = rootNodes[0];
+        // Parent references must exist and not point at the node itself
+        for (const node of nodes) {
+            for (const [property, field] of PARENT_FIELDS) {
+                const parentId = node[property];
+                if (parentId === null) continue;
+
+                if (parentId === node.id) {
+                    errors.push(createIssue('self_reference', node.id, field,
+                        `Node ${node.id}: cannot reference itself as ${field}`));
+                } else if (!this.nodes.has(parentId)) {
+                    errors.push(createIssue('missing_parent', node.id, field,
+                        `Node ${node.id}: ${field} ${parentId} does not exist`));
+                }
+            }
+        }
 
-        // Validate all node ID references exist
-        for (const node of this.getAllNodes()) {
-            if (node.baseParent !== null && !this.nodes.has(node.baseParent)) {
-                throw new Error(`Node ${node.id}: base_parent ${node.baseParent} does not exist`);
+        // No cycles
+        for (const cycle of this.findCycles()) {
+            errors.push({
+                ...createIssue('cycle', cycle[0], null, `Cycle detected: ${cycle.join(' -> ')}`),
+                path: cycle
+            });
+        }
+
+        // All nodes trace back to the root
+        if (rootNodes.length > 0) {
+            for (const node of nodes) {
+                if (!node.isRoot() && !this.canReachRoot(node.id, new Set())) {
+                    errors.push(createIssue('disconnected', node.id, null,
+                        `Node ${node.id} is disconnected (does not trace back to root)`));
+                }
             }
-            if (node.transformParent !== null && !this.nodes.has(node.transformParent)) {
-                throw new Error(`Node ${node.id}: transform_parent ${node.transformParent} does not exist`);
+        }
+
+        for (const node of nodes) {
+            if (!(node.scale > MIN_SCALE)) {
+                errors.push(createIssue('invalid_value', node.id, 'scale',
+                    `Node ${node.id}: scale must be greater than ${MIN_SCALE}`));
             }
+        }
 
-            // Validate no self-references
-            if (node.baseParent === node.id) {
-                throw new Error(`Node ${node.id}: cannot reference itself as base_parent`);
+        // Parameters that are legal but almost certainly not intended
+        for (const node of nodes) {
+            if (node.isRoot()) continue;
+
+            if (node.scale > MIN_SCALE && node.scale < SCALE_EPSILON) {
+                warnings.push(createIssue('scale_near_zero', node.id, 'scale',
+                    `Node ${node.id}: scale ${node.scale} is near zero, so its transform layer is too small to see`));
+            }
+            if (node.radialCount < 0) {
+                warnings.push(createIssue('negative_radial_count', node.id, 'radial_count',
+                    `Node ${node.id}: radial_count ${node.radialCount} is negative, so no copies are drawn`));
             }
-            if (node.transformParent === node.id) {
-                throw new Error(`Node ${node.id}: cannot reference itself as transform_parent`);
+            if (node.radialRadius !== 0 && node.radialCount === 0) {
+                warnings.push(createIssue('unused_radial_radius', node.id, 'radial_radius',
+                    `Node ${node.id}: radial_radius has no effect while radial_count is 0`));
             }
         }
 
-        // Validate no cycles
-        this.detectCycles();
-
-        // Validate all nodes are reachable from root
-        this.validateConnectivity();
+        return { errors, warnings };
     }
 
     /**
-     * Detect cycles in the graph using DFS
+     * Every cycle reachable through parent references, each as a path of
+     * node IDs that starts and ends at the same node. Missing parents and
+     * self-references are left to getValidationReport.
      */
-    detectCycles() {
+    findCycles() {
+        const cycles = [];
         const visited = new Set();
-        const recursionStack = new Set();
+        const path = []; // current DFS stack
 
-        const dfs = (nodeId, path) => {
-            if (recursionStack.has(nodeId)) {
-                throw new Error(`Cycle detected: ${path.join(' -> ')} -> ${nodeId}`);
+        const dfs = (nodeId) => {
+            const stackIndex = path.indexOf(nodeId);
+            if (stackIndex !== -1) {
+                cycles.push([...path.slice(stackIndex), nodeId]);
+                return;
             }
             if (visited.has(nodeId)) {
                 return;
             }
 
             visited.add(nodeId);
-            recursionStack.add(nodeId);
             path.push(nodeId);
 
             const node = this.getNode(nodeId);
-            if (node.baseParent !== null) {
-                dfs(node.baseParent, [...path]);
-            }
-            if (node.transformParent !== null) {
-                dfs(node.transformParent, [...path]);
+            for (const parentId of [node.baseParent, node.transformParent]) {
+                if (parentId !== null && parentId !== nodeId && this.nodes.has(parentId)) {
+                    dfs(parentId);
+                }
             }
 
-            recursionStack.delete(nodeId);
+            path.pop();
         };
 
         for (const node of this.getAllNodes()) {
-            if (!visited.has(node.id)) {
-                dfs(node.id, []);
-            }
+            dfs(node.id);
         }
+        return cycles;
     }
 
     /**
-     * Validate that all nodes can reach the root
+     * Throw if the graph contains a cycle
      */
-    validateConnectivity() {
-        for (const node of this.getAllNodes()) {
-            if (node.isRoot()) continue;
+    detectCycles() {
+        const [cycle] = this.findCycles();
+        if (cycle) {
+            throw new Error(`Cycle detected: ${cycle.join(' -> ')}`);
+        }
+    }
 
-            if (!this.canReachRoot(node.id, new Set())) {
-                throw new Error(`Node ${node.id} is disconnected (does not trace back to root)`);
-            }
+    /**
+     * Check whether pointing a node's parent property ('baseParent' or
+     * 'transformParent') at parentId would create a cycle.
+     * Returns the cycle message, or null if the change is safe.
+     */
+    findCycleForParentChange(nodeId, property, parentId) {
+        const node = this.getNode(nodeId);
+        const oldValue = node[property];
+        node[property] = parentId;
+
+        try {
+            this.detectCycles();
+            return null;
+        } catch (error) {
+            return error.message;
+        } finally {
+            node[property] = oldValue;
         }
     }
 
@@ -202,6 +455,9 @@ export class Graph {
         visited.add(nodeId);
 
         const node = this.getNode(nodeId);
+        if (!node) {
+            return false; // Dangling parent reference
+        }
         if (node.isRoot()) {
             return true;
         }
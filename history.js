@@ -0,0 +1,96 @@
+/**
+ * Undo/redo history
+ *
+ * A command is { label, undo(), redo(), selectionBefore, selectionAfter,
+ * mergeKey? }. Commands are recorded after their change has been applied.
+ * Consecutive commands with the same mergeKey (e.g. one slider drag) collapse
+ * into a single undo step until endMerge() is called.
+ */
+export class History {
+    constructor(limit = 200) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.mergeOpen = false;
+        this.onChange = null;
+    }
+
+    /**
+     * Record a command whose change has already been applied
+     */
+    record(command) {
+        const top = this.undoStack[this.undoStack.length - 1];
+
+        if (this.mergeOpen && command.mergeKey && top && top.mergeKey === command.mergeKey) {
+            // Keep the original undo, take the latest redo
+            this.undoStack[this.undoStack.length - 1] = {
+                ...top,
+                redo: command.redo,
+                selectionAfter: command.selectionAfter
+            };
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.mergeOpen = Boolean(command.mergeKey);
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Close the current merge group (e.g. when a slider drag ends)
+     */
+    endMerge() {
+        this.mergeOpen = false;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the last command and return it, or null if there is none
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.mergeOpen = false;
+        this.notify();
+        return command;
+    }
+
+    /**
+     * Reapply the last undone command and return it, or null if there is none
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.mergeOpen = false;
+        this.notify();
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.mergeOpen = false;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+}
@@ -1,19 +1,59 @@
 import { Graph, Node } from './graph.js';
-import { initWebGL, createProgramFromSources, setupFullscreenQuad, getUniformLocations } from './webgl-utils.js';
+import {
+    initWebGL, createProgramFromSources, setupFullscreenQuad, getUniformLocations, observeCanvasSize,
+    saveDrawState, restoreDrawState
+} from './webgl-utils.js';
 import { vertexShaderSource, fragmentShaderSource } from './shaders.js';
-
-// Configuration
-const VIEWPORT = { minX: -2, maxX: 2, minY: -2, maxY: 2 };
-const MAX_NODES = 256;
+import { ShaderError, formatDiagnostics } from './shader-diagnostics.js';
+import { encodeGraphData, createGraphTexture, uploadGraphTexture } from './graph-texture.js';
+import { SlotAllocator } from './slot-allocator.js';
+import { PALETTES, findPaletteName, hexToRgb } from './palettes.js';
+import { DEFAULT_VIEW, viewToViewport, parseView, viewToJSON, attachViewControls } from './view.js';
+import { exportPNG, downloadBlob } from './export-png.js';
+import { Timeline, applyAnimation, getAnimationDuration, setKeyframe, removeKeyframe } from './animation.js';
+import { History } from './history.js';
+import { GraphDiagram } from './graph-diagram.js';
+import { ThumbnailStrip } from './thumbnails.js';
+import { encodeShareHash, decodeShareHash, isShareHash } from './share-link.js';
+import { ProjectLibrary } from './project-library.js';
+import { isJsonFile, baseFileName, pickGraphFiles, saveGraphFile } from './graph-files.js';
+import { GpuTimer } from './gpu-timer.js';
+import { AccumulationBuffer, MAX_ACCUMULATED_SAMPLES } from './accumulation.js';
+import { EdgeAdaptivePass, MAX_EDGE_SUPERSAMPLE } from './edge-adaptive.js';
+import { PerfPanel } from './perf-panel.js';
+import { countEvaluations } from './reference-evaluator.js';
+import { ShaderSpecializer } from './glsl-compiler.js';
+import {
+    DiagnosticsProbe, DEFAULT_LIMITS, DIAGNOSTICS_OFF, DIAGNOSTICS_TINT,
+    normalizeLimits, setLimitUniforms, describeFailures
+} from './diagnostics.js';
 
 // UI elements
 const canvas = document.getElementById('glCanvas');
+const canvasArea = document.getElementById('canvas-area');
 const errorDisplay = document.getElementById('error-display');
+const shaderWarningsDisplay = document.getElementById('shader-warnings');
+const problemsDisplay = document.getElementById('problems-display');
+const problemsList = document.getElementById('problems-list');
 const exampleSelect = document.getElementById('example-select');
+const undoButton = document.getElementById('undo-button');
+const redoButton = document.getElementById('redo-button');
 const newGraphButton = document.getElementById('new-graph-button');
-const importJsonButton = document.getElementById('import-json-button');
-const exportJsonButton = document.getElementById('export-json-button');
+const openFileButton = document.getElementById('open-file-button');
+const saveFileButton = document.getElementById('save-file-button');
+const exportPngButton = document.getElementById('export-png-button');
+const shareLinkButton = document.getElementById('share-link-button');
+const fileStatus = document.getElementById('file-status');
+const exportDialog = document.getElementById('export-dialog');
+const exportSizeSelect = document.getElementById('export-size-select');
+const exportSupersampleSelect = document.getElementById('export-supersample-select');
+const exportTransparentCheckbox = document.getElementById('export-transparent-checkbox');
+const exportProgress = document.getElementById('export-progress');
+const exportCancelButton = document.getElementById('export-cancel-button');
+const exportStartButton = document.getElementById('export-start-button');
 const nodeSelect = document.getElementById('node-select');
+const diagramSvg = document.getElementById('graph-diagram');
+const diagramConnectSelect = document.getElementById('diagram-connect-select');
 const createNodeButton = document.getElementById('create-node-button');
 const deleteNodeButton = document.getElementById('delete-node-button');
 const editorSection = document.getElementById('editor-section');
@@ -28,64 +68,230 @@ const radialCountSlider = document.getElementById('radial-count-slider');
 const radialCountValue = document.getElementById('radial-count-value');
 const rotationSlider = document.getElementById('rotation-slider');
 const rotationValue = document.getElementById('rotation-value');
+const overlapSelect = document.getElementById('overlap-select');
+const fillEnabledCheckbox = document.getElementById('fill-enabled-checkbox');
+const fillColorInput = document.getElementById('fill-color-input');
+const paletteSelect = document.getElementById('palette-select');
+const paletteInkInput = document.getElementById('palette-ink-input');
+const palettePaperInput = document.getElementById('palette-paper-input');
+const playPauseButton = document.getElementById('play-pause-button');
+const loopCheckbox = document.getElementById('loop-checkbox');
+const timelineSlider = document.getElementById('timeline-slider');
+const timelineValue = document.getElementById('timeline-value');
+const durationInput = document.getElementById('duration-input');
+const keyframeEditor = document.getElementById('keyframe-editor');
+const keyframePropertySelect = document.getElementById('keyframe-property-select');
+const keyframeEasingSelect = document.getElementById('keyframe-easing-select');
+const setKeyframeButton = document.getElementById('set-keyframe-button');
+const keyframeList = document.getElementById('keyframe-list');
+const qualitySelect = document.getElementById('quality-select');
 const supersampleSlider = document.getElementById('supersample-slider');
 const supersampleValue = document.getElementById('supersample-value');
+const benchmarkCheckbox = document.getElementById('benchmark-checkbox');
+const progressiveCheckbox = document.getElementById('progressive-checkbox');
+const specializeCheckbox = document.getElementById('specialize-checkbox');
+const diagnosticsCheckbox = document.getElementById('diagnostics-checkbox');
+const stackLimitInput = document.getElementById('stack-limit-input');
+const iterationLimitInput = document.getElementById('iteration-limit-input');
+const diagnosticsStatus = document.getElementById('diagnostics-status');
 const fpsCounter = document.getElementById('fps-counter');
+const perfGraph = document.getElementById('perf-graph');
+const perfStats = document.getElementById('perf-stats');
+const viewInfo = document.getElementById('view-info');
+const resetViewButton = document.getElementById('reset-view-button');
+const fullscreenButton = document.getElementById('fullscreen-button');
+const thumbnailContainer = document.getElementById('thumbnail-strip');
+const projectNameInput = document.getElementById('project-name-input');
+const projectStatus = document.getElementById('project-status');
+const saveProjectAsButton = document.getElementById('save-project-as-button');
+const projectList = document.getElementById('project-list');
 
 // State
 let gl = null;
 let program = null;
 let uniformLocations = null;
+let graphTexture = null;
+const slotAllocator = new SlotAllocator();
 let currentGraph = null;
 let selectedNodeId = null;
+let currentView = { ...DEFAULT_VIEW };
+const timeline = new Timeline();
+const history = new History();
+let diagram = null;
+let thumbnailStrip = null;
 let supersampleFactor = 1;
-let animationFrameId = null;
-
-// FPS tracking
+let edgeAdaptive = false; // supersample only edge pixels (two passes)
+let edgePass = null;
+const projectLibrary = new ProjectLibrary();
+let currentProjectId = null; // null until the project is first saved
+let currentProjectName = 'Untitled';
+let lastSavedData = null; // JSON text of the graph as last saved or opened
+let autosaveTimer = null;
+let loadWarnings = []; // warnings from loading the current file (e.g. unknown fields)
+let problemNodes = new Map(); // node id -> 'error' | 'warning'
+let animationFrameId = null; // pending requestAnimationFrame, if any
+let benchmarkMode = false; // render every frame instead of on demand
+let accumulation = null; // progressive antialiasing buffer, when supported
+let progressiveMode = false;
+let specializer = null; // compiles graphs to straight-line GLSL
+let specializeShaders = true;
+let evaluationCount = null; // { targetNodeId, count } until the graph changes
+let diagnosticsOverlay = false; // tint pixels that hit an evaluation limit
+let evaluationLimits = { ...DEFAULT_LIMITS };
+let diagnosticsProbe = null;
+let probePending = false; // count limit failures on the next render (overlay only)
+
+const AUTOSAVE_DELAY = 1000; // ms after the last change
+const UNIFORM_MAX_SUPERSAMPLE = 4; // supersampling every pixel above this is too slow
+const PROJECT_THUMBNAIL_SIZE = 64;
+
+// Load warnings about the file rather than the graph. Graph warnings come
+// from the live validation report instead, so they clear once fixed.
+const FILE_WARNING_CODES = new Set(['unknown_field']);
+
+// Frame timing. Outside benchmark mode frames are only drawn on demand,
+// so the counter shows the GPU time of the last one rather than a rate.
 let frameCount = 0;
 let lastFpsUpdate = performance.now();
-
-// Error handling
-function showError(message) {
+let lastFrameTime = null; // ms, measured by gpuTimer
+let fps = null; // benchmark mode only
+let gpuTimer = null;
+const perfPanel = new PerfPanel(perfGraph, perfStats);
+
+// Error handling. Preformatted messages (shader source excerpts) keep
+// their spacing and use a monospace font.
+function showError(message, preformatted = false) {
     errorDisplay.textContent = message;
     errorDisplay.classList.add('visible');
+    errorDisplay.classList.toggle('preformatted', preformatted);
     console.error(message);
 }
 
 function clearError() {
     errorDisplay.textContent = '';
-    errorDisplay.classList.remove('visible');
+    errorDisplay.classList.remove('visible', 'preformatted');
+}
+
+// Compile warnings and specialized shader failures, formatted like shader
+// errors. They stay shown (clearError doesn't touch them), as the programs
+// they are about don't change.
+function showShaderWarning(text) {
+    const shown = shaderWarningsDisplay.textContent;
+    shaderWarningsDisplay.textContent = shown ? `${shown}\n\n${text}` : text;
+    shaderWarningsDisplay.classList.add('visible');
+}
+
+function reportSpecializerError(error) {
+    showShaderWarning(`Specialized shader failed, using the generic one:\n${error.message}`);
+}
+
+// Messages for an error; validation errors list every problem found
+function errorMessages(error) {
+    return error.report ? error.report.errors.map(issue => issue.message) : [error.message];
+}
+
+// List every error and warning for the current graph and flag the nodes
+// involved. Returns true if the set of flagged nodes changed.
+function updateProblems() {
+    if (!currentGraph) return false;
+
+    const report = currentGraph.getValidationReport();
+    const problems = [
+        ...report.errors.map(issue => ({ ...issue, severity: 'error' })),
+        ...loadWarnings.concat(report.warnings).map(issue => ({ ...issue, severity: 'warning' }))
+    ];
+
+    problemsList.innerHTML = '';
+    for (const problem of problems) {
+        const item = document.createElement('li');
+        item.className = problem.severity;
+        item.textContent = problem.message;
+        item.title = problem.field ? `${problem.code} (${problem.field})` : problem.code;
+        if (problem.nodeId !== null && currentGraph.getNode(problem.nodeId)) {
+            item.classList.add('selectable');
+            item.addEventListener('click', () => selectNode(problem.nodeId));
+        }
+        problemsList.appendChild(item);
+    }
+    problemsDisplay.classList.toggle('visible', problems.length > 0);
+
+    const nodes = new Map();
+    for (const problem of problems) {
+        for (const nodeId of problem.path || [problem.nodeId]) {
+            if (nodeId !== null && nodes.get(nodeId) !== 'error') {
+                nodes.set(nodeId, problem.severity);
+            }
+        }
+    }
+
+    const changed = JSON.stringify([...nodes]) !== JSON.stringify([...problemNodes]);
+    problemNodes = nodes;
+    return changed;
+}
+
+// Marker appended to a node's name in lists
+function problemMarker(nodeId) {
+    const severity = problemNodes.get(nodeId);
+    return severity === 'error' ? ' ✖' : severity === 'warning' ? ' ⚠' : '';
 }
 
 // Initialize WebGL
 function initGL() {
     try {
         gl = initWebGL(canvas);
-        program = createProgramFromSources(gl, vertexShaderSource, fragmentShaderSource);
+        const shaderWarnings = [];
+        program = createProgramFromSources(gl, vertexShaderSource, fragmentShaderSource, shaderWarnings);
+        for (const warning of shaderWarnings) {
+            showShaderWarning(formatDiagnostics(warning.label, [warning], warning.source));
+        }
         setupFullscreenQuad(gl, program);
 
+        gpuTimer = new GpuTimer(gl, recordFrameTime);
+        perfPanel.setMethod(gpuTimer.method);
+
+        edgePass = new EdgeAdaptivePass(gl);
+        accumulation = new AccumulationBuffer(gl);
+        if (!accumulation.supported) {
+            progressiveCheckbox.disabled = true;
+            progressiveCheckbox.parentElement.title = 'Needs float render targets (EXT_color_buffer_float)';
+        }
+
         // Get uniform locations
         const uniformNames = [
             'u_resolution',
             'u_viewport',
+            'u_pixelOffset',
+            'u_sampleJitter',
             'u_supersampleFactor',
             'u_targetNodeId',
-            'u_nodeCount'
+            'u_edgeAdaptive',
+            'u_edgePass',
+            'u_edgeThreshold',
+            'u_nodeCount',
+            'u_nodeData',
+            'u_paletteInk',
+            'u_palettePaper',
+            'u_rootColor',
+            'u_diagnosticsMode',
+            'u_stackLimit',
+            'u_iterationLimit'
         ];
 
-        // Add array uniform locations
-        for (let i = 0; i < MAX_NODES; i++) {
-            uniformNames.push(`u_nodeBaseParents[${i}]`);
-            uniformNames.push(`u_nodeTransformParents[${i}]`);
-            uniformNames.push(`u_nodeScales[${i}]`);
-            uniformNames.push(`u_nodeRadialRadii[${i}]`);
-            uniformNames.push(`u_nodeRadialCounts[${i}]`);
-            uniformNames.push(`u_nodeRotations[${i}]`);
-        }
-
         uniformLocations = getUniformLocations(gl, program, uniformNames);
+        specializer = new ShaderSpecializer(gl, uniformNames,
+                                            { a_position: gl.getAttribLocation(program, 'a_position') },
+                                            requestRender, reportSpecializerError);
 
         gl.useProgram(program);
+        setLimitUniforms(gl, uniformLocations, evaluationLimits);
+        diagnosticsProbe = new DiagnosticsProbe(gl);
+
+        // Node data lives in a float texture on unit 0
+        graphTexture = createGraphTexture(gl);
+        gl.uniform1i(uniformLocations.u_nodeData, 0);
+
+        thumbnailStrip = new ThumbnailStrip(thumbnailContainer, gl, program, uniformLocations,
+                                            slotAllocator, selectNode);
 
         // Enable alpha blending so transparent areas show background
         gl.enable(gl.BLEND);
@@ -93,7 +299,7 @@ function initGL() {
 
         clearError();
     } catch (error) {
-        showError(`WebGL initialization failed: ${error.message}`);
+        showError(`WebGL initialization failed: ${error.message}`, error instanceof ShaderError);
     }
 }
 
@@ -104,45 +310,90 @@ function uploadGraphData() {
     gl.useProgram(program);
 
     const nodes = currentGraph.getAllNodes();
-    gl.uniform1i(uniformLocations.u_nodeCount, nodes.length);
-
-    // Upload node data
-    for (let i = 0; i < MAX_NODES; i++) {
-        if (i < nodes.length) {
-            const node = nodes[i];
-            gl.uniform1i(uniformLocations[`u_nodeBaseParents[${i}]`], node.baseParent !== null ? node.baseParent : -1);
-            gl.uniform1i(uniformLocations[`u_nodeTransformParents[${i}]`], node.transformParent !== null ? node.transformParent : -1);
-            gl.uniform1f(uniformLocations[`u_nodeScales[${i}]`], node.scale);
-            gl.uniform1f(uniformLocations[`u_nodeRadialRadii[${i}]`], node.radialRadius);
-            gl.uniform1i(uniformLocations[`u_nodeRadialCounts[${i}]`], node.radialCount);
-            gl.uniform1f(uniformLocations[`u_nodeRotations[${i}]`], node.rotation);
-        } else {
-            // Fill unused slots with defaults
-            gl.uniform1i(uniformLocations[`u_nodeBaseParents[${i}]`], -1);
-            gl.uniform1i(uniformLocations[`u_nodeTransformParents[${i}]`], -1);
-            gl.uniform1f(uniformLocations[`u_nodeScales[${i}]`], 1.0);
-            gl.uniform1f(uniformLocations[`u_nodeRadialRadii[${i}]`], 0.0);
-            gl.uniform1i(uniformLocations[`u_nodeRadialCounts[${i}]`], 0);
-            gl.uniform1f(uniformLocations[`u_nodeRotations[${i}]`], 0.0);
-        }
+    slotAllocator.sync(currentGraph);
+
+    try {
+        const encoded = encodeGraphData(nodes, slotAllocator, gl.getParameter(gl.MAX_TEXTURE_SIZE));
+        gl.activeTexture(gl.TEXTURE0);
+        uploadGraphTexture(gl, graphTexture, encoded);
+        gl.uniform1i(uniformLocations.u_nodeCount, encoded.nodeCount);
+    } catch (error) {
+        showError(error.message);
     }
+
+    setPaletteUniforms(uniformLocations);
+    if (specializer) specializer.invalidate();
+    evaluationCount = null;
+
+    if (thumbnailStrip) thumbnailStrip.invalidate(currentGraph);
+    requestRender();
+}
+
+// Palette and root color, on the program in use
+function setPaletteUniforms(locations) {
+    const [ink, paper] = currentGraph.palette;
+    const root = currentGraph.rootNode;
+    const rootColor = root && root.fill ? root.fill : ink;
+    gl.uniform3fv(locations.u_paletteInk, hexToRgb(ink));
+    gl.uniform3fv(locations.u_palettePaper, hexToRgb(paper));
+    gl.uniform3fv(locations.u_rootColor, hexToRgb(rootColor));
 }
 
 // Render current node
 function render() {
     if (!gl || !program || !currentGraph) return;
 
-    // Determine which node to render
-    const targetNodeId = selectedNodeId !== null ? selectedNodeId :
-                        (currentGraph.rootNode ? currentGraph.rootNode.id : 0);
-
-    gl.useProgram(program);
+    const targetNodeId = getTargetNodeId();
+
+    // A program compiled for this graph's structure if one is ready,
+    // otherwise the generic stack machine. The compiled one takes the
+    // graph's parameters as uniforms, set here on every frame. It has no
+    // evaluation limits, so the diagnostics overlay shows the generic one.
+    const specialized = specializeShaders && !diagnosticsOverlay ?
+        specializer.programFor(currentGraph, targetNodeId) : null;
+    const locations = specialized ? specialized.locations : uniformLocations;
+    gl.useProgram(specialized ? specialized.program : program);
+    if (specialized) {
+        specializer.setParameters(specialized);
+        setPaletteUniforms(locations);
+    }
 
     // Set viewport uniforms
-    gl.uniform2f(uniformLocations.u_resolution, canvas.width, canvas.height);
-    gl.uniform4f(uniformLocations.u_viewport, VIEWPORT.minX, VIEWPORT.maxX, VIEWPORT.minY, VIEWPORT.maxY);
-    gl.uniform1i(uniformLocations.u_supersampleFactor, supersampleFactor);
-    gl.uniform1i(uniformLocations.u_targetNodeId, targetNodeId);
+    const viewport = viewToViewport(currentView, canvas.width / canvas.height);
+    gl.uniform4f(locations.u_viewport, viewport.minX, viewport.maxX, viewport.minY, viewport.maxY);
+    gl.uniform1i(locations.u_targetNodeId, slotAllocator.getSlot(targetNodeId));
+
+    if (probePending) {
+        probePending = false;
+        updateDiagnosticsStatus(diagnosticsProbe.measure(locations));
+    }
+
+    gl.uniform2f(locations.u_resolution, canvas.width, canvas.height);
+    gl.uniform1i(locations.u_supersampleFactor, supersampleFactor);
+    gl.uniform1i(locations.u_edgeAdaptive, 0);
+    gl.uniform1i(locations.u_diagnosticsMode, diagnosticsOverlay ? DIAGNOSTICS_TINT : DIAGNOSTICS_OFF);
+
+    // Progressive antialiasing draws into its buffer until it converges,
+    // then only shows the result
+    const progressive = isProgressive();
+    if (progressive) accumulation.resize(canvas.width, canvas.height);
+    const drawSample = !progressive || !accumulation.converged;
+
+    if (drawSample) {
+        gpuTimer.begin();
+        if (edgeAdaptive) renderEdgePass(locations);
+
+        const [jitterX, jitterY] = progressive ? accumulation.jitter : [0, 0];
+        gl.uniform2f(locations.u_sampleJitter, jitterX, jitterY);
+
+        if (progressive) {
+            const drawState = saveDrawState(gl);
+            accumulation.beginSample();
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            accumulation.endSample();
+            restoreDrawState(gl, drawState);
+        }
+    }
 
     // Set viewport
     gl.viewport(0, 0, canvas.width, canvas.height);
@@ -152,41 +403,634 @@ function render() {
     gl.clear(gl.COLOR_BUFFER_BIT);
 
     // Draw fullscreen quad
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    if (progressive) {
+        accumulation.present();
+    } else {
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+    if (drawSample) gpuTimer.end();
+
+    perfPanel.setWorkload({
+        nodeCount: currentGraph.getAllNodes().length,
+        supersampleFactor,
+        edgeAdaptive,
+        evaluationsPerSample: getEvaluationCount(targetNodeId),
+        specialized: specialized !== null
+    });
 
-    // Update FPS
+    // Count frames for benchmark mode's FPS
     frameCount++;
     const now = performance.now();
     if (now - lastFpsUpdate >= 1000) {
-        const fps = Math.round(frameCount * 1000 / (now - lastFpsUpdate));
-        fpsCounter.textContent = `FPS: ${fps}`;
+        fps = Math.round(frameCount * 1000 / (now - lastFpsUpdate));
         frameCount = 0;
         lastFpsUpdate = now;
+        updateFrameCounter();
     }
 }
 
-// Animation loop
-function animate() {
+// Node evaluations per sample for the perf panel, counted once per graph
+// change rather than every frame
+function getEvaluationCount(targetNodeId) {
+    if (!evaluationCount || evaluationCount.targetNodeId !== targetNodeId) {
+        evaluationCount = { targetNodeId, count: countEvaluations(currentGraph, targetNodeId) };
+    }
+    return evaluationCount.count;
+}
+
+// First pass of edge-adaptive supersampling: one unjittered sample per
+// pixel, which the second pass compares between neighbors. locations are
+// the uniforms of the program in use.
+function renderEdgePass(locations) {
+    edgePass.resize(canvas.width, canvas.height);
+    gl.uniform1i(locations.u_supersampleFactor, 1);
+    gl.uniform2f(locations.u_sampleJitter, 0, 0);
+
+    const drawState = saveDrawState(gl);
+    edgePass.beginFirstPass(locations);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    edgePass.endFirstPass(locations);
+    restoreDrawState(gl, drawState);
+
+    gl.uniform1i(locations.u_supersampleFactor, supersampleFactor);
+}
+
+// Show the evaluation limit failures of a probe summary, or nothing with
+// the overlay off (summary null)
+function updateDiagnosticsStatus(summary) {
+    const nodeName = (slot) => {
+        for (const [id, nodeSlot] of slotAllocator.slots) {
+            if (nodeSlot === slot) return `node ${id}`;
+        }
+        return `slot ${slot}`;
+    };
+    const warnings = summary ? describeFailures(summary, nodeName) : [];
+
+    if (warnings.length === 0 && diagnosticsOverlay) {
+        diagnosticsStatus.textContent = 'No pixels hit an evaluation limit';
+        diagnosticsStatus.className = '';
+    } else {
+        diagnosticsStatus.textContent = warnings.join('\n');
+        diagnosticsStatus.className = warnings.length > 0 ? 'warning' : '';
+    }
+}
+
+// GPU time of a frame, reported by gpuTimer once the GPU has finished it
+function recordFrameTime(time) {
+    lastFrameTime = time;
+    perfPanel.record(time);
+    updateFrameCounter();
+}
+
+function updateFrameCounter() {
+    const frameTime = lastFrameTime !== null ? `${lastFrameTime.toFixed(1)} ms` : '--';
+    let text = benchmarkMode && fps !== null ? `FPS: ${fps} (${frameTime})` : `Frame: ${frameTime}`;
+    if (isProgressive()) {
+        text += ` | ${accumulation.sampleCount}/${MAX_ACCUMULATED_SAMPLES} samples`;
+    }
+    fpsCounter.textContent = text;
+}
+
+function isProgressive() {
+    return progressiveMode && accumulation !== null && accumulation.supported;
+}
+
+// Schedule a render for the next animation frame. Edits, view changes and
+// resizes call this; repeated requests within a frame draw once.
+function requestRender() {
+    if (accumulation) accumulation.reset();
+    // The probe stalls on a readback, so it only runs while diagnosing
+    if (diagnosticsOverlay) probePending = true;
+    scheduleFrame();
+}
+
+function scheduleFrame() {
+    if (animationFrameId === null) {
+        animationFrameId = requestAnimationFrame(animate);
+    }
+}
+
+// Determine which node to render
+function getTargetNodeId() {
+    return selectedNodeId !== null ? selectedNodeId :
+           (currentGraph.rootNode ? currentGraph.rootNode.id : 0);
+}
+
+// Draw one frame. Keeps going while the timeline plays, in benchmark mode
+// and until progressive antialiasing converges; otherwise waits for the
+// next requestRender().
+function animate(now) {
+    animationFrameId = null;
+    if (timeline.tick(now)) {
+        applyTimeline();
+        updateTimelineUI();
+    }
     render();
-    animationFrameId = requestAnimationFrame(animate);
+    if (timeline.playing || benchmarkMode || (isProgressive() && !accumulation.converged)) {
+        scheduleFrame();
+    }
+}
+
+// Set animated parameters to their values at the current timeline time
+function applyTimeline() {
+    if (!currentGraph) return;
+
+    if (applyAnimation(currentGraph, timeline.time)) {
+        uploadGraphData();
+        const node = selectedNodeId !== null ? currentGraph.getNode(selectedNodeId) : null;
+        if (node) updateSliderValues(node);
+    }
+}
+
+// Reset the timeline for a newly loaded graph
+function resetTimeline() {
+    timeline.pause();
+    timeline.duration = getAnimationDuration(currentGraph);
+    timeline.seek(0);
+    applyTimeline();
+    updateTimelineUI();
+}
+
+function updateTimelineUI() {
+    playPauseButton.textContent = timeline.playing ? 'Pause' : 'Play';
+    loopCheckbox.checked = timeline.loop;
+    timelineSlider.max = timeline.duration;
+    timelineSlider.value = timeline.time;
+    timelineValue.textContent = `${timeline.time.toFixed(2)}s / ${timeline.duration.toFixed(2)}s`;
+    if (document.activeElement !== durationInput) {
+        durationInput.value = timeline.duration;
+    }
+}
+
+// List the selected node's keyframes; click to seek, x to delete
+function updateKeyframeList(node) {
+    keyframeList.innerHTML = '';
+
+    for (const [property, keyframes] of Object.entries(node.keyframes)) {
+        for (const keyframe of keyframes) {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${property} @ ${keyframe.time.toFixed(2)}s = ${+keyframe.value.toFixed(3)} (${keyframe.easing})`;
+            item.appendChild(label);
+            item.addEventListener('click', () => {
+                timeline.seek(keyframe.time);
+                applyTimeline();
+                updateTimelineUI();
+                requestRender();
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '×';
+            removeButton.title = 'Delete keyframe';
+            removeButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const before = structuredClone(node.keyframes);
+                removeKeyframe(node, property, keyframe.time);
+                recordKeyframeEdit(node, before);
+                updateKeyframeList(node);
+            });
+            item.appendChild(removeButton);
+
+            keyframeList.appendChild(item);
+        }
+    }
+}
+
+// Replace the current graph, starting slot allocation from scratch
+function setGraph(graph) {
+    currentGraph = graph;
+    slotAllocator.reset();
 }
 
 // Initialize with simple root node
 function initializeNewGraph() {
-    currentGraph = new Graph();
+    setGraph(new Graph());
     const rootNode = new Node(0);
     currentGraph.addNode(rootNode);
     currentGraph.rootNode = rootNode;
     selectedNodeId = null;
+    currentView = { ...DEFAULT_VIEW };
+    updateViewInfo();
+    loadWarnings = [];
 
     uploadGraphData();
+    resetTimeline();
     updateUI();
 }
 
+// Load a graph file's contents, including its saved view if present
+function loadGraphData(jsonData) {
+    const warnings = [];
+    const graph = Graph.fromJSON(jsonData, warnings);
+    const view = jsonData.view !== undefined ? parseView(jsonData.view) : { ...DEFAULT_VIEW };
+
+    setGraph(graph);
+    selectedNodeId = null;
+    currentView = view;
+    loadWarnings = warnings.filter(warning => FILE_WARNING_CODES.has(warning.code));
+    updateViewInfo();
+    uploadGraphData();
+    resetTimeline();
+    updateUI();
+    requestRender();
+    clearError();
+}
+
+// The current graph as exported JSON, including the view
+function getGraphData() {
+    return { ...currentGraph.toJSON(), view: viewToJSON(currentView) };
+}
+
+// Open the graph, view and selection stored in a share link hash as a new
+// project. The hash is then dropped so a reload restores the saved project
+// instead of opening the link again.
+async function openShareLink(hash) {
+    let before;
+    try {
+        const { graphData, selectedNodeId } = await decodeShareHash(hash);
+        saveProject();
+        before = captureGraphState();
+        loadGraphData(graphData);
+        if (selectedNodeId !== null && currentGraph.getNode(selectedNodeId)) {
+            selectNode(selectedNodeId);
+        }
+    } catch (error) {
+        showError(`Could not open share link:\n${errorMessages(error).join('\n')}`);
+        return;
+    }
+
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    adoptAsNewProject('Shared graph');
+    recordGraphReplacement('Open share link', before);
+}
+
+// Open graph files, each as a new project; the last one stays open.
+// Problems are reported per file.
+async function importGraphFiles(files) {
+    const errors = [];
+
+    for (const file of files) {
+        if (!isJsonFile(file)) {
+            errors.push(`${file.name}: not a .json file`);
+            continue;
+        }
+        try {
+            const data = JSON.parse(await file.text());
+            saveProject();
+            const before = captureGraphState();
+            loadGraphData(data);
+            adoptAsNewProject(baseFileName(file));
+            recordGraphReplacement(`Import ${file.name}`, before);
+        } catch (error) {
+            errors.push(...errorMessages(error).map(message => `${file.name}: ${message}`));
+        }
+    }
+
+    if (errors.length > 0) {
+        showError(`Import failed:\n${errors.join('\n')}`);
+    }
+}
+
+// Change the render view (pan/zoom)
+function setView(view) {
+    currentView = view;
+    updateViewInfo();
+    requestRender();
+    scheduleAutosave();
+}
+
+function updateViewInfo() {
+    const { centerX, centerY, zoom } = currentView;
+    viewInfo.textContent = `Center: (${centerX.toFixed(4)}, ${centerY.toFixed(4)})  Zoom: ${zoom.toFixed(2)}x`;
+}
+
+// ============================================================================
+// Undo/redo
+// ============================================================================
+
+// Snapshot of everything a whole-graph replacement changes. New graphs,
+// imports, examples and share links open as new projects, so the project
+// is part of it.
+function captureGraphState() {
+    return {
+        graph: currentGraph,
+        view: currentView,
+        selection: selectedNodeId,
+        project: { id: currentProjectId, name: currentProjectName }
+    };
+}
+
+function restoreGraphState(state) {
+    const { id, name } = state.project;
+    const switchProject = id !== currentProjectId;
+    if (switchProject) saveProject(); // keep the project being left as it is
+
+    setGraph(state.graph);
+    currentView = state.view;
+    updateViewInfo();
+    resetTimeline();
+    if (switchProject) {
+        // A project deleted since is saved again as a new one
+        setCurrentProject(id !== null && projectLibrary.get(id) ? id : null, name);
+    }
+}
+
+// Record replacing the whole graph (new, import, example, share link) as
+// one step
+function recordGraphReplacement(label, before) {
+    const after = captureGraphState();
+    history.record({
+        label,
+        undo: () => restoreGraphState(before),
+        redo: () => restoreGraphState(after),
+        selectionBefore: before.selection,
+        selectionAfter: after.selection
+    });
+}
+
+function recordKeyframeEdit(node, before) {
+    const after = structuredClone(node.keyframes);
+    history.record({
+        label: 'Edit keyframes',
+        undo: () => { node.keyframes = structuredClone(before); },
+        redo: () => { node.keyframes = structuredClone(after); },
+        selectionBefore: node.id,
+        selectionAfter: node.id
+    });
+}
+
+// Refresh everything after undo/redo and restore the step's selection
+function afterHistoryStep(selection) {
+    selectedNodeId = selection !== null && currentGraph.getNode(selection) ? selection : null;
+
+    try {
+        currentGraph.validate();
+        clearError();
+    } catch (error) {
+        showError(error.message);
+    }
+
+    uploadGraphData();
+    updateUI();
+    requestRender();
+}
+
+function undo() {
+    const command = history.undo();
+    if (command) afterHistoryStep(command.selectionBefore);
+}
+
+function redo() {
+    const command = history.redo();
+    if (command) afterHistoryStep(command.selectionAfter);
+}
+
+function updateHistoryButtons() {
+    const undoCommand = history.undoStack[history.undoStack.length - 1];
+    const redoCommand = history.redoStack[history.redoStack.length - 1];
+    undoButton.disabled = !undoCommand;
+    redoButton.disabled = !redoCommand;
+    undoButton.title = undoCommand ? `Undo ${undoCommand.label}` : 'Nothing to undo';
+    redoButton.title = redoCommand ? `Redo ${redoCommand.label}` : 'Nothing to redo';
+}
+
+// ============================================================================
+// Project library and autosave
+// ============================================================================
+
+// Make the loaded graph the current project, as last saved
+function setCurrentProject(id, name) {
+    currentProjectId = id;
+    currentProjectName = name;
+    if (id !== null) projectLibrary.lastProjectId = id;
+    lastSavedData = JSON.stringify(getGraphData());
+    updateProjectPanel();
+}
+
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveProject, AUTOSAVE_DELAY);
+}
+
+// Save the current graph if it changed since it was last saved or opened.
+// A project that was never saved gets created here.
+function saveProject() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!currentGraph) return;
+
+    const data = getGraphData();
+    const text = JSON.stringify(data);
+    if (text === lastSavedData) return;
+
+    try {
+        currentProjectId = projectLibrary.save(currentProjectId, currentProjectName, data,
+                                               captureProjectThumbnail());
+        currentProjectName = projectLibrary.get(currentProjectId).name;
+        projectLibrary.lastProjectId = currentProjectId;
+        lastSavedData = text;
+    } catch (error) {
+        showError(`Autosave failed: ${error.message}`);
+    }
+    updateProjectPanel();
+}
+
+// Small JPEG of the main view. Must run in the same task as render(),
+// before the drawing buffer is presented and cleared.
+function captureProjectThumbnail() {
+    if (!gl) return null;
+
+    render();
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = PROJECT_THUMBNAIL_SIZE;
+    thumbnail.height = PROJECT_THUMBNAIL_SIZE;
+
+    // Centered square crop of the (possibly non-square) view
+    const side = Math.min(canvas.width, canvas.height);
+    thumbnail.getContext('2d').drawImage(canvas,
+        (canvas.width - side) / 2, (canvas.height - side) / 2, side, side,
+        0, 0, PROJECT_THUMBNAIL_SIZE, PROJECT_THUMBNAIL_SIZE);
+    return thumbnail.toDataURL('image/jpeg', 0.8);
+}
+
+function openProject(id) {
+    saveProject();
+
+    const entry = projectLibrary.get(id);
+    try {
+        if (!entry) throw new Error('Project not found');
+        loadGraphData(projectLibrary.load(id));
+    } catch (error) {
+        showError(`Could not open project "${entry ? entry.name : id}":\n${errorMessages(error).join('\n')}`);
+        return false;
+    }
+
+    // History is per saved project, so it starts over
+    setCurrentProject(id, entry.name);
+    history.clear();
+    return true;
+}
+
+// Save a freshly loaded graph as a new project. If that fails, the graph
+// stays open unsaved rather than overwriting the previous project.
+function adoptAsNewProject(name) {
+    try {
+        const id = projectLibrary.save(null, name, getGraphData(), captureProjectThumbnail());
+        setCurrentProject(id, projectLibrary.get(id).name);
+    } catch (error) {
+        showError(`Could not save "${name}": ${error.message}`);
+        setCurrentProject(null, name);
+    }
+}
+
+// Start a blank graph as a new, not yet saved project. Undo returns to the
+// previous project.
+function startNewProject() {
+    saveProject();
+    const before = captureGraphState();
+    initializeNewGraph();
+    requestRender();
+    setCurrentProject(null, 'Untitled');
+    recordGraphReplacement('New graph', before);
+}
+
+// Reopen the project that was open when the page was last closed
+function restoreLastProject() {
+    const id = projectLibrary.lastProjectId;
+    return id !== null && projectLibrary.get(id) !== null && openProject(id);
+}
+
+function renameProject(id, name) {
+    try {
+        const newName = projectLibrary.rename(id, name);
+        if (id === currentProjectId) currentProjectName = newName;
+    } catch (error) {
+        showError(`Rename failed: ${error.message}`);
+    }
+    updateProjectPanel();
+}
+
+function updateProjectPanel() {
+    if (document.activeElement !== projectNameInput) {
+        projectNameInput.value = currentProjectName;
+    }
+
+    const current = currentProjectId !== null ? projectLibrary.get(currentProjectId) : null;
+    projectStatus.textContent = current ?
+        `Saved ${new Date(current.updatedAt).toLocaleTimeString()}` :
+        'Not saved yet; saves automatically after the first change';
+
+    projectList.innerHTML = '';
+    for (const entry of projectLibrary.list()) {
+        const item = document.createElement('li');
+        if (entry.id === currentProjectId) item.classList.add('current');
+        item.title = `Open ${entry.name}`;
+        item.addEventListener('click', () => {
+            if (entry.id !== currentProjectId) openProject(entry.id);
+        });
+
+        const image = document.createElement('img');
+        image.alt = '';
+        if (entry.thumbnail) image.src = entry.thumbnail;
+        item.appendChild(image);
+
+        const label = document.createElement('span');
+        label.textContent = entry.name;
+        item.appendChild(label);
+
+        const actions = [
+            ['✎', 'Rename', () => {
+                const name = prompt('Project name:', entry.name);
+                if (name !== null) renameProject(entry.id, name);
+            }],
+            ['⧉', 'Duplicate', () => {
+                try {
+                    openProject(projectLibrary.duplicate(entry.id));
+                } catch (error) {
+                    showError(`Duplicate failed: ${error.message}`);
+                }
+            }],
+            ['×', 'Delete', () => {
+                if (!confirm(`Delete project "${entry.name}"?`)) return;
+                projectLibrary.remove(entry.id);
+                if (entry.id === currentProjectId) {
+                    // Keep the graph open; it is saved again as a new project on the next change
+                    currentProjectId = null;
+                }
+                updateProjectPanel();
+            }]
+        ];
+        for (const [text, title, action] of actions) {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                action();
+            });
+            item.appendChild(button);
+        }
+
+        projectList.appendChild(item);
+    }
+}
+
 // Update all UI elements
 function updateUI() {
+    updateProblems();
     updateNodeList();
     updateEditor();
+    updatePaletteControls();
+    updateDiagram();
+    updateThumbnailSelection();
+}
+
+function updateDiagram() {
+    diagram.render(currentGraph, selectedNodeId, problemNodes);
+}
+
+function updateThumbnailSelection() {
+    if (thumbnailStrip) thumbnailStrip.setSelected(selectedNodeId);
+}
+
+// Select a node for editing (from the dropdown or the diagram)
+function selectNode(nodeId) {
+    selectedNodeId = nodeId;
+    updateNodeList();
+    updateEditor();
+    updateDiagram();
+    updateThumbnailSelection();
+    requestRender();
+}
+
+// Reason a diagram drag from parentId onto childId can't connect, or null
+function checkConnection(parentId, childId) {
+    const child = currentGraph.getNode(childId);
+    if (child.isRoot()) {
+        return 'The root node cannot have parents';
+    }
+    return currentGraph.findCycleForParentChange(childId, diagramConnectSelect.value, parentId);
+}
+
+function connectNodes(parentId, childId) {
+    const problem = checkConnection(parentId, childId);
+    if (problem) {
+        showError(`Connection rejected: ${problem}`);
+        return;
+    }
+    selectedNodeId = childId;
+    setNodeProperty(childId, diagramConnectSelect.value, parentId);
+    updateUI();
+}
+
+// Update palette selector and color pickers from the current graph
+function updatePaletteControls() {
+    if (!currentGraph) return;
+
+    const [ink, paper] = currentGraph.palette;
+    paletteSelect.value = findPaletteName(currentGraph.palette) || 'custom';
+    paletteInkInput.value = ink;
+    palettePaperInput.value = paper;
 }
 
 // Update node selector dropdown
@@ -197,7 +1041,8 @@ function updateNodeList() {
     currentGraph.getAllNodes().forEach(node => {
         const option = document.createElement('option');
         option.value = node.id;
-        option.textContent = node.isRoot() ? `Node ${node.id} (Root)` : `Node ${node.id}`;
+        option.textContent = (node.isRoot() ? `Node ${node.id} (Root)` : `Node ${node.id}`) +
+                             problemMarker(node.id);
         if (selectedNodeId === node.id) option.selected = true;
         nodeSelect.appendChild(option);
     });
@@ -207,6 +1052,7 @@ function updateNodeList() {
 function updateEditor() {
     if (selectedNodeId === null || !currentGraph) {
         editorSection.style.display = 'none';
+        keyframeEditor.style.display = 'none';
         deleteNodeButton.disabled = true;
         return;
     }
@@ -214,11 +1060,13 @@ function updateEditor() {
     const node = currentGraph.getNode(selectedNodeId);
     if (!node) {
         editorSection.style.display = 'none';
+        keyframeEditor.style.display = 'none';
         deleteNodeButton.disabled = true;
         return;
     }
 
     editorSection.style.display = 'block';
+    keyframeEditor.style.display = 'block';
     editorNodeId.textContent = node.id;
     deleteNodeButton.disabled = node.isRoot();
 
@@ -229,7 +1077,19 @@ function updateEditor() {
     baseParentSelect.value = node.baseParent !== null ? node.baseParent : '';
     transformParentSelect.value = node.transformParent !== null ? node.transformParent : '';
 
-    // Update sliders
+    updateSliderValues(node);
+
+    overlapSelect.value = node.overlap;
+
+    fillEnabledCheckbox.checked = node.fill !== null;
+    fillColorInput.disabled = node.fill === null;
+    fillColorInput.value = node.fill || currentGraph.palette[1];
+
+    updateKeyframeList(node);
+}
+
+// Update parameter sliders (also called every frame during playback)
+function updateSliderValues(node) {
     scaleSlider.value = node.scale;
     scaleValue.textContent = node.scale.toFixed(2);
 
@@ -240,7 +1100,7 @@ function updateEditor() {
     radialCountValue.textContent = node.radialCount;
 
     rotationSlider.value = node.rotation;
-    rotationValue.textContent = node.rotation + '°';
+    rotationValue.textContent = +node.rotation.toFixed(1) + '°';
 }
 
 // Update parent selector dropdowns
@@ -266,30 +1126,46 @@ function updateParentSelects() {
     });
 }
 
+// Map a <select> option value back to the node ID it was created from
+function parseNodeIdValue(value) {
+    if (value === '' || !currentGraph) return null;
+    const node = currentGraph.getAllNodes().find(n => String(n.id) === value);
+    return node ? node.id : null;
+}
+
 // Event handlers
 nodeSelect.addEventListener('change', (e) => {
-    selectedNodeId = e.target.value === '' ? null : parseInt(e.target.value);
-    updateEditor();
-    render();
+    selectNode(parseNodeIdValue(e.target.value));
 });
 
 createNodeButton.addEventListener('click', () => {
     if (!currentGraph) return;
 
-    const nodes = currentGraph.getAllNodes();
-    const newId = nodes.length > 0 ? Math.max(...nodes.map(n => n.id)) + 1 : 1;
-    const newNode = new Node(newId, 0, 0); // Default to root as both parents
-    currentGraph.addNode(newNode);
+    // Graphs may use string IDs; new nodes continue the integer sequence
+    const numericIds = currentGraph.getAllNodes().map(n => n.id).filter(Number.isInteger);
+    let newId = numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
+    while (currentGraph.hasIdLike(newId)) newId++; // e.g. a string id "7"
+    const graph = currentGraph;
+    const rootId = graph.rootNode ? graph.rootNode.id : 0;
+    const newNode = new Node(newId, rootId, rootId); // Default to root as both parents
+    graph.addNode(newNode);
 
     try {
-        currentGraph.validate();
+        graph.validate();
+        history.record({
+            label: 'Create node',
+            undo: () => graph.nodes.delete(newId),
+            redo: () => graph.addNode(newNode),
+            selectionBefore: selectedNodeId,
+            selectionAfter: newId
+        });
         uploadGraphData();
         selectedNodeId = newId;
         updateUI();
-        render();
+        requestRender();
         clearError();
     } catch (error) {
-        currentGraph.nodes.delete(newId);
+        graph.nodes.delete(newId);
         showError(error.message);
     }
 });
@@ -303,133 +1179,501 @@ deleteNodeButton.addEventListener('click', () => {
         return;
     }
 
-    currentGraph.nodes.delete(selectedNodeId);
-    selectedNodeId = null;
+    // Keep insertion order so undo puts the node back where it was
+    const graph = currentGraph;
+    const nodeId = selectedNodeId;
+    const entriesBefore = Array.from(graph.nodes);
+    graph.nodes.delete(nodeId);
 
     try {
-        currentGraph.validate();
-        uploadGraphData();
-        updateUI();
-        render();
-        clearError();
+        graph.validate();
     } catch (error) {
-        showError(error.message);
+        graph.nodes = new Map(entriesBefore);
+        showError(`Cannot delete node ${nodeId}: ${error.message}`);
+        return;
     }
-});
 
-newGraphButton.addEventListener('click', () => {
-    if (confirm('Create a new graph? Current graph will be lost.')) {
-        initializeNewGraph();
-        render();
-    }
+    history.record({
+        label: 'Delete node',
+        undo: () => { graph.nodes = new Map(entriesBefore); },
+        redo: () => graph.nodes.delete(nodeId),
+        selectionBefore: nodeId,
+        selectionAfter: null
+    });
+    selectedNodeId = null;
+    uploadGraphData();
+    updateUI();
+    requestRender();
+    clearError();
 });
 
-// JSON import/export handlers
-importJsonButton.addEventListener('click', () => {
-    const jsonText = prompt('Paste JSON graph data:');
-    if (!jsonText) return;
+newGraphButton.addEventListener('click', startNewProject);
 
+// JSON file open/save
+openFileButton.addEventListener('click', async () => {
     try {
-        const jsonData = JSON.parse(jsonText);
-        currentGraph = Graph.fromJSON(jsonData);
-        selectedNodeId = null;
-        uploadGraphData();
-        updateUI();
-        render();
-        clearError();
+        await importGraphFiles(await pickGraphFiles());
     } catch (error) {
-        showError(`Import failed: ${error.message}`);
+        showError(`Could not open files: ${error.message}`);
     }
 });
 
-exportJsonButton.addEventListener('click', () => {
+saveFileButton.addEventListener('click', async () => {
     if (!currentGraph) {
         showError('No graph to export');
         return;
     }
 
-    const nodes = currentGraph.getAllNodes().map(node => ({
-        id: node.id,
-        base_parent: node.baseParent,
-        transform_parent: node.transformParent,
-        scale: node.scale,
-        radial_radius: node.radialRadius,
-        radial_count: node.radialCount,
-        rotation: node.rotation,
-        ...(node.comment && { comment: node.comment })
-    }));
+    // Reported next to the button: the shared error display is cleared by
+    // the next load or edit, possibly before the user has seen it
+    const fileName = `${currentProjectName}.json`;
+    try {
+        if (await saveGraphFile(JSON.stringify(getGraphData(), null, 2), currentProjectName)) {
+            setFileStatus(`Saved ${fileName}`);
+        }
+    } catch (error) {
+        setFileStatus(`Could not save ${fileName}: ${error.message}`, true);
+    }
+});
+
+function setFileStatus(message, isError = false) {
+    fileStatus.textContent = message;
+    fileStatus.classList.toggle('error', isError);
+}
 
-    const jsonData = { nodes };
-    const jsonText = JSON.stringify(jsonData, null, 2);
+// Drop .json files onto the canvas to open them
+const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
 
-    // Copy to clipboard
-    navigator.clipboard.writeText(jsonText).then(() => {
-        alert('JSON copied to clipboard!');
+canvasArea.addEventListener('dragover', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    canvasArea.classList.add('drop-target');
+});
+
+canvasArea.addEventListener('dragleave', (e) => {
+    if (!canvasArea.contains(e.relatedTarget)) {
+        canvasArea.classList.remove('drop-target');
+    }
+});
+
+canvasArea.addEventListener('drop', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    canvasArea.classList.remove('drop-target');
+    importGraphFiles(Array.from(e.dataTransfer.files));
+});
+
+shareLinkButton.addEventListener('click', async () => {
+    if (!currentGraph) {
+        showError('No graph to share');
+        return;
+    }
+
+    let url;
+    try {
+        const hash = await encodeShareHash(getGraphData(), selectedNodeId);
+        url = new URL(hash, window.location.href).href;
+    } catch (error) {
+        showError(`Could not create share link: ${error.message}`);
+        return;
+    }
+
+    navigator.clipboard.writeText(url).then(() => {
+        alert('Share link copied to clipboard!');
     }).catch(() => {
-        // Fallback: show in alert
-        prompt('Copy this JSON:', jsonText);
+        prompt('Copy this link:', url);
     });
 });
 
+// Opening a share link in an already open tab only changes the hash
+window.addEventListener('hashchange', () => {
+    if (isShareHash(window.location.hash)) openShareLink(window.location.hash);
+});
+
+// Project library
+projectNameInput.addEventListener('change', () => {
+    const name = projectNameInput.value.trim();
+    if (!name) {
+        projectNameInput.value = currentProjectName;
+    } else if (currentProjectId === null) {
+        currentProjectName = name; // used when the project is first saved
+    } else {
+        renameProject(currentProjectId, name);
+    }
+});
+
+saveProjectAsButton.addEventListener('click', () => {
+    const name = prompt('Save as project named:', `${currentProjectName} copy`);
+    if (!name || !name.trim()) return;
+
+    saveProject();
+    try {
+        const id = projectLibrary.save(null, name.trim(), getGraphData(), captureProjectThumbnail());
+        setCurrentProject(id, projectLibrary.get(id).name);
+    } catch (error) {
+        showError(`Save failed: ${error.message}`);
+    }
+});
+
+// Flush a pending autosave when the page goes away
+window.addEventListener('pagehide', saveProject);
+
+// PNG export dialog
+exportPngButton.addEventListener('click', () => {
+    if (!gl || !currentGraph) {
+        showError('Nothing to export');
+        return;
+    }
+    exportProgress.textContent = '';
+    exportDialog.showModal();
+});
+
+exportCancelButton.addEventListener('click', () => {
+    exportDialog.close();
+});
+
+exportStartButton.addEventListener('click', async () => {
+    const size = parseInt(exportSizeSelect.value);
+    const targetNodeId = getTargetNodeId();
+
+    exportStartButton.disabled = true;
+    exportCancelButton.disabled = true;
+
+    try {
+        const blob = await exportPNG(gl, program, uniformLocations, {
+            size,
+            viewport: viewToViewport(currentView),
+            supersampleFactor: parseInt(exportSupersampleSelect.value),
+            targetSlot: slotAllocator.getSlot(targetNodeId),
+            transparent: exportTransparentCheckbox.checked,
+            onProgress: (done, total) => {
+                exportProgress.textContent = `Rendering tile ${done} of ${total}...`;
+            }
+        });
+        downloadBlob(blob, `kaleidoscope-node-${targetNodeId}-${size}px.png`);
+        exportDialog.close();
+        clearError();
+    } catch (error) {
+        exportDialog.close();
+        showError(`PNG export failed: ${error.message}`);
+    } finally {
+        exportStartButton.disabled = false;
+        exportCancelButton.disabled = false;
+    }
+});
+
 // Slider event handlers
-function updateNodeProperty(property, value) {
+function updateNodeProperty(property, value, continuous = false) {
     if (selectedNodeId === null || !currentGraph) return;
+    setNodeProperty(selectedNodeId, property, value, continuous);
+}
 
-    const node = currentGraph.getNode(selectedNodeId);
+// Edit one node property with validation and undo support.
+// continuous edits (slider drags) merge into one undo step until the
+// control's change event calls history.endMerge()
+function setNodeProperty(nodeId, property, value, continuous = false) {
+    const node = currentGraph.getNode(nodeId);
     if (!node) return;
 
+    const oldValue = node[property];
+    if (oldValue === value) return;
     node[property] = value;
 
     try {
         currentGraph.validate();
-        uploadGraphData();
-        render();
-        clearError();
     } catch (error) {
+        node[property] = oldValue;
+        updateEditor();
         showError(error.message);
+        return;
     }
+
+    history.record({
+        label: `Change ${property}`,
+        undo: () => { node[property] = oldValue; },
+        redo: () => { node[property] = value; },
+        selectionBefore: node.id,
+        selectionAfter: node.id,
+        mergeKey: continuous ? `${node.id}:${property}` : null
+    });
+
+    uploadGraphData();
+    if (property === 'baseParent' || property === 'transformParent') {
+        updateDiagram();
+    }
+    requestRender();
+    clearError();
 }
 
 scaleSlider.addEventListener('input', (e) => {
     const value = parseFloat(e.target.value);
     scaleValue.textContent = value.toFixed(2);
-    updateNodeProperty('scale', value);
+    updateNodeProperty('scale', value, true);
 });
 
 radialRadiusSlider.addEventListener('input', (e) => {
     const value = parseFloat(e.target.value);
     radialRadiusValue.textContent = value.toFixed(2);
-    updateNodeProperty('radialRadius', value);
+    updateNodeProperty('radialRadius', value, true);
 });
 
 radialCountSlider.addEventListener('input', (e) => {
     const value = parseInt(e.target.value);
     radialCountValue.textContent = value;
-    updateNodeProperty('radialCount', value);
+    updateNodeProperty('radialCount', value, true);
 });
 
 rotationSlider.addEventListener('input', (e) => {
     const value = parseFloat(e.target.value);
     rotationValue.textContent = value + '°';
-    updateNodeProperty('rotation', value);
+    updateNodeProperty('rotation', value, true);
+});
+
+// A finished drag closes its undo step
+[scaleSlider, radialRadiusSlider, radialCountSlider, rotationSlider, fillColorInput,
+ paletteInkInput, palettePaperInput].forEach(control => {
+    control.addEventListener('change', () => history.endMerge());
+});
+
+overlapSelect.addEventListener('change', (e) => {
+    updateNodeProperty('overlap', e.target.value);
+});
+
+fillEnabledCheckbox.addEventListener('change', (e) => {
+    fillColorInput.disabled = !e.target.checked;
+    updateNodeProperty('fill', e.target.checked ? fillColorInput.value : null);
+});
+
+fillColorInput.addEventListener('input', (e) => {
+    updateNodeProperty('fill', e.target.value, true);
+});
+
+// Palette handlers
+function setPalette(palette, continuous = false) {
+    if (!currentGraph) return;
+
+    const graph = currentGraph;
+    const oldPalette = graph.palette;
+    graph.palette = palette;
+    history.record({
+        label: 'Change palette',
+        undo: () => { graph.palette = oldPalette; },
+        redo: () => { graph.palette = palette; },
+        selectionBefore: selectedNodeId,
+        selectionAfter: selectedNodeId,
+        mergeKey: continuous ? 'palette' : null
+    });
+
+    uploadGraphData();
+    updatePaletteControls();
+    updateEditor();
+    requestRender();
+}
+
+function populatePalettes() {
+    Object.keys(PALETTES).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+        paletteSelect.insertBefore(option, paletteSelect.lastElementChild);
+    });
+}
+
+paletteSelect.addEventListener('change', (e) => {
+    if (PALETTES[e.target.value]) {
+        setPalette(PALETTES[e.target.value].slice());
+    }
+});
+
+paletteInkInput.addEventListener('input', (e) => {
+    setPalette([e.target.value, currentGraph.palette[1]], true);
+});
+
+palettePaperInput.addEventListener('input', (e) => {
+    setPalette([currentGraph.palette[0], e.target.value], true);
+});
+
+// Edge-adaptive mode only pays for supersampling at edges, so it allows
+// higher factors
+qualitySelect.addEventListener('change', (e) => {
+    edgeAdaptive = e.target.value === 'edge-adaptive';
+    supersampleSlider.max = edgeAdaptive ? MAX_EDGE_SUPERSAMPLE : UNIFORM_MAX_SUPERSAMPLE;
+    supersampleFactor = parseInt(supersampleSlider.value);
+    supersampleValue.textContent = supersampleFactor + 'x';
+    requestRender();
 });
 
 supersampleSlider.addEventListener('input', (e) => {
     supersampleFactor = parseInt(e.target.value);
     supersampleValue.textContent = supersampleFactor + 'x';
-    render();
+    requestRender();
+});
+
+progressiveCheckbox.addEventListener('change', (e) => {
+    progressiveMode = e.target.checked;
+    updateFrameCounter();
+    requestRender();
+});
+
+specializeCheckbox.addEventListener('change', (e) => {
+    specializeShaders = e.target.checked;
+    requestRender();
+});
+
+diagnosticsCheckbox.addEventListener('change', (e) => {
+    diagnosticsOverlay = e.target.checked;
+    if (!diagnosticsOverlay) {
+        probePending = false;
+        updateDiagnosticsStatus(null);
+    }
+    requestRender();
+});
+
+// Evaluation limits apply to the generic program, which keeps its uniforms
+// across the views that share it (thumbnails, export)
+function applyEvaluationLimits() {
+    evaluationLimits = normalizeLimits({
+        stackLimit: parseInt(stackLimitInput.value, 10),
+        iterationLimit: parseInt(iterationLimitInput.value, 10)
+    });
+    stackLimitInput.value = evaluationLimits.stackLimit;
+    iterationLimitInput.value = evaluationLimits.iterationLimit;
+    if (!gl || !program) return;
+
+    gl.useProgram(program);
+    setLimitUniforms(gl, uniformLocations, evaluationLimits);
+    if (thumbnailStrip && currentGraph) thumbnailStrip.invalidateAll(currentGraph);
+    requestRender();
+}
+
+stackLimitInput.addEventListener('change', applyEvaluationLimits);
+iterationLimitInput.addEventListener('change', applyEvaluationLimits);
+
+benchmarkCheckbox.addEventListener('change', (e) => {
+    benchmarkMode = e.target.checked;
+    frameCount = 0;
+    lastFpsUpdate = performance.now();
+    fps = null;
+    updateFrameCounter();
+    requestRender();
 });
 
 baseParentSelect.addEventListener('change', (e) => {
-    const value = e.target.value === '' ? null : parseInt(e.target.value);
+    const value = parseNodeIdValue(e.target.value);
     updateNodeProperty('baseParent', value);
 });
 
 transformParentSelect.addEventListener('change', (e) => {
-    const value = e.target.value === '' ? null : parseInt(e.target.value);
+    const value = parseNodeIdValue(e.target.value);
     updateNodeProperty('transformParent', value);
 });
 
+// Timeline handlers
+playPauseButton.addEventListener('click', () => {
+    if (timeline.playing) {
+        timeline.pause();
+    } else {
+        timeline.play();
+        requestRender();
+    }
+    updateTimelineUI();
+});
+
+loopCheckbox.addEventListener('change', (e) => {
+    timeline.loop = e.target.checked;
+});
+
+timelineSlider.addEventListener('input', (e) => {
+    timeline.seek(parseFloat(e.target.value));
+    applyTimeline();
+    updateTimelineUI();
+    requestRender();
+});
+
+durationInput.addEventListener('change', (e) => {
+    const value = parseFloat(e.target.value);
+    if (!currentGraph || !(value > 0)) return;
+
+    // Never cut off existing keyframes
+    timeline.duration = Math.max(value, getAnimationDuration(currentGraph));
+    timeline.seek(timeline.time);
+    updateTimelineUI();
+});
+
+setKeyframeButton.addEventListener('click', () => {
+    if (selectedNodeId === null || !currentGraph) return;
+
+    const node = currentGraph.getNode(selectedNodeId);
+    const property = keyframePropertySelect.value;
+    const time = Math.round(timeline.time * 100) / 100;
+    const before = structuredClone(node.keyframes);
+    setKeyframe(node, property, time, node[property], keyframeEasingSelect.value);
+    recordKeyframeEdit(node, before);
+    updateKeyframeList(node);
+});
+
+// Undo/redo handlers
+history.onChange = () => {
+    perfPanel.markEdit();
+    updateHistoryButtons();
+    scheduleAutosave();
+    if (updateProblems()) {
+        updateNodeList();
+        updateDiagram();
+    }
+};
+undoButton.addEventListener('click', undo);
+redoButton.addEventListener('click', redo);
+
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    // Leave text fields their own undo
+    if (e.target.matches('input[type="number"], input[type="text"], textarea')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+});
+
+// View handlers
+resetViewButton.addEventListener('click', () => {
+    setView({ ...DEFAULT_VIEW });
+});
+
+attachViewControls(canvas, () => currentView, setView);
+
+// Keep the drawing buffer at the canvas's on-screen size in device pixels.
+// Resizing clears the canvas, so redraw right away rather than next frame
+// (and keep going if progressive antialiasing started over)
+observeCanvasSize(canvas, () => {
+    render();
+    scheduleFrame();
+});
+
+// Fullscreen shows the canvas area (with its overlays) alone
+if (document.fullscreenEnabled) {
+    fullscreenButton.addEventListener('click', () => {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            canvasArea.requestFullscreen().catch(error => {
+                showError(`Fullscreen failed: ${error.message}`);
+            });
+        }
+    });
+    document.addEventListener('fullscreenchange', () => {
+        fullscreenButton.textContent = document.fullscreenElement ? 'Exit Fullscreen' : 'Fullscreen';
+    });
+} else {
+    fullscreenButton.style.display = 'none';
+}
+
 // Example loading
 const examples = [
     { name: 'Simple Root', file: 'simple-root.json' },
@@ -451,35 +1695,57 @@ function populateExamples() {
     });
 }
 
+// Load an example in place of the current graph, saving the open project
+// first. Returns the state before, for recording, or null on failure.
 async function loadExample(filename) {
     try {
         const response = await fetch(`examples/${filename}`);
         if (!response.ok) {
             throw new Error(`Failed to load ${filename}`);
         }
-        const jsonData = await response.json();
-        currentGraph = Graph.fromJSON(jsonData);
-        selectedNodeId = null;
-        uploadGraphData();
-        updateUI();
-        render();
-        clearError();
+        const data = await response.json();
+        saveProject();
+        const before = captureGraphState();
+        loadGraphData(data);
+        return before;
     } catch (error) {
-        showError(`Failed to load example: ${error.message}`);
+        showError(`Failed to load example:\n${errorMessages(error).join('\n')}`);
+        return null;
     }
 }
 
 exampleSelect.addEventListener('change', (e) => {
     const filename = e.target.value;
     if (filename) {
-        loadExample(filename);
+        // Opens as a new project, like an import, so the open one is kept
+        const name = e.target.selectedOptions[0].textContent;
+        loadExample(filename).then(before => {
+            if (!before) return;
+            adoptAsNewProject(name);
+            recordGraphReplacement(`Load ${filename}`, before);
+        });
         // Reset selector
         e.target.value = '';
     }
 });
 
+// Diagram panel
+diagram = new GraphDiagram(diagramSvg, {
+    onSelect: selectNode,
+    onConnect: connectNodes,
+    checkConnection
+});
+
 // Initialize
 populateExamples();
+populatePalettes();
+updateHistoryButtons();
 initGL();
-initializeNewGraph();
-animate();
+if (!restoreLastProject()) {
+    initializeNewGraph();
+    setCurrentProject(null, 'Untitled');
+}
+if (isShareHash(window.location.hash)) {
+    openShareLink(window.location.hash);
+}
+requestRender();
@@ -0,0 +1,67 @@
+/**
+ * Conservative bounding circles of node output
+ *
+ * A node is transparent outside a circle around its own origin. The root is
+ * the unit circle; any other node covers its base parent's circle plus each
+ * radial copy of its transform parent's circle, scaled by the node's scale
+ * and moved out by radial_radius. Rotation doesn't change a circle about the
+ * origin, so the bound is
+ *
+ *   radius = max(base parent radius, scale * transform parent radius + |radial_radius|)
+ *
+ * The root circle's antialiased edge reaches one pixel past radius 1 in the
+ * root's own coordinates, and that pixel grows or shrinks with every scale
+ * on the way to a node. Each bound therefore carries a fringe scale as well,
+ * and the evaluator tests against radius + fringeScale * pixelSize.
+ */
+
+// Bounds of a slot without a node: the shader reads it as a root circle
+export const EMPTY_BOUNDS = Object.freeze({ radius: 1, fringeScale: 1 });
+
+// Never culled: used for nodes in a cycle, which the evaluator can't finish
+const UNBOUNDED = Object.freeze({ radius: Infinity, fringeScale: Infinity });
+
+/**
+ * Map of node id -> { radius, fringeScale }, following the evaluator's rules:
+ * a radial_count of 0 is one copy without offset, a negative one draws no
+ * copies, and scales at or below 0.0001 are not applied.
+ */
+export function computeNodeBounds(nodes) {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    const bounds = new Map();
+
+    const boundsOf = (nodeId) => {
+        if (bounds.has(nodeId)) return bounds.get(nodeId);
+        const node = nodesById.get(nodeId);
+        if (!node) return EMPTY_BOUNDS;
+
+        if (node.baseParent === null && node.transformParent === null) {
+            bounds.set(nodeId, EMPTY_BOUNDS);
+            return EMPTY_BOUNDS;
+        }
+
+        bounds.set(nodeId, UNBOUNDED); // guards against cycles in an unvalidated graph
+
+        let radius = 0;
+        let fringeScale = 0;
+        if (node.baseParent !== null) {
+            ({ radius, fringeScale } = boundsOf(node.baseParent));
+        }
+        if (node.transformParent !== null && node.radialCount >= 0) {
+            const parent = boundsOf(node.transformParent);
+            const scale = node.scale > 0.0001 ? node.scale : 1;
+            const offset = node.radialCount > 0 ? Math.abs(node.radialRadius) : 0;
+            radius = Math.max(radius, scale * parent.radius + offset);
+            fringeScale = Math.max(fringeScale, scale * parent.fringeScale);
+        }
+
+        const result = { radius, fringeScale };
+        bounds.set(nodeId, result);
+        return result;
+    };
+
+    for (const node of nodes) {
+        boundsOf(node.id);
+    }
+    return bounds;
+}
@@ -0,0 +1,78 @@
+/**
+ * Color palettes
+ *
+ * A palette is a pair of hex colors [ink, paper]. The root circle is drawn in
+ * ink, and each transform_parent inversion swaps ink and paper, so the
+ * default monochrome palette reproduces the original black/white output.
+ */
+
+export const PALETTES = {
+    monochrome: ['#000000', '#ffffff'],
+    sepia: ['#3b2a1a', '#f4e4c1'],
+    ocean: ['#0b2545', '#8ecae6'],
+    ember: ['#370617', '#ffba08'],
+    forest: ['#1b4332', '#d8f3dc'],
+    neon: ['#240046', '#00f5d4']
+};
+
+export const DEFAULT_PALETTE_NAME = 'monochrome';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Check that a value is a #rrggbb color string
+ */
+export function isHexColor(value) {
+    return typeof value === 'string' && HEX_COLOR.test(value);
+}
+
+/**
+ * Convert #rrggbb to [r, g, b] in the 0-1 range
+ */
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [
+        ((value >> 16) & 0xff) / 255,
+        ((value >> 8) & 0xff) / 255,
+        (value & 0xff) / 255
+    ];
+}
+
+/**
+ * Resolve the JSON "palette" field (a preset name or an [ink, paper] array)
+ * to a palette. Missing means the default palette.
+ */
+export function parsePalette(value) {
+    if (value === undefined || value === null) {
+        return PALETTES[DEFAULT_PALETTE_NAME].slice();
+    }
+    if (typeof value === 'string') {
+        if (!PALETTES[value]) {
+            throw new Error(`Unknown palette "${value}"`);
+        }
+        return PALETTES[value].slice();
+    }
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isHexColor)) {
+        throw new Error('palette must be a preset name or an array of two #rrggbb colors');
+    }
+    return value.map(color => color.toLowerCase());
+}
+
+/**
+ * Name of the preset matching a palette, or null for a custom palette
+ */
+export function findPaletteName(palette) {
+    for (const [name, colors] of Object.entries(PALETTES)) {
+        if (colors[0] === palette[0].toLowerCase() && colors[1] === palette[1].toLowerCase()) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Inverse of parsePalette: presets are written by name
+ */
+export function paletteToJSON(palette) {
+    return findPaletteName(palette) || palette.slice();
+}
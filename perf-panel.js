@@ -0,0 +1,121 @@
+/**
+ * Performance panel
+ *
+ * Shows the measured GPU time of recent frames as a rolling bar graph,
+ * together with what drives the cost: node count, supersample factor and
+ * the estimated node evaluations per pixel. Frames drawn right after a graph
+ * edit are marked in the graph, so a slowdown can be tied to the edit.
+ */
+
+const HISTORY_LENGTH = 120; // frames kept in the graph
+const GRAPH_HEIGHT = 60; // CSS pixels
+const TARGET_FRAME_TIME = 1000 / 60; // ms, drawn as a reference line
+
+export class PerfPanel {
+    /**
+     * canvas holds the rolling graph; stats is an element filled with the
+     * current figures
+     */
+    constructor(canvas, stats) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.stats = stats;
+
+        this.samples = []; // { time, edited }, oldest first
+        this.editPending = false;
+        this.method = null;
+        this.workload = { nodeCount: 0, supersampleFactor: 1, edgeAdaptive: false, evaluationsPerSample: 0, specialized: false };
+    }
+
+    /**
+     * The next recorded frame is the first after a graph edit
+     */
+    markEdit() {
+        this.editPending = true;
+    }
+
+    setMethod(method) {
+        this.method = method;
+        this.updateStats();
+    }
+
+    /**
+     * workload: { nodeCount, supersampleFactor, edgeAdaptive,
+     * evaluationsPerSample, specialized }
+     */
+    setWorkload(workload) {
+        this.workload = workload;
+        this.updateStats();
+    }
+
+    /**
+     * Add one frame's GPU time in milliseconds
+     */
+    record(time) {
+        this.samples.push({ time, edited: this.editPending });
+        this.editPending = false;
+        if (this.samples.length > HISTORY_LENGTH) this.samples.shift();
+        this.updateStats();
+        this.drawGraph();
+    }
+
+    get lastTime() {
+        return this.samples.length > 0 ? this.samples[this.samples.length - 1].time : null;
+    }
+
+    updateStats() {
+        const { nodeCount, supersampleFactor, edgeAdaptive, evaluationsPerSample, specialized } = this.workload;
+        const samples = supersampleFactor * supersampleFactor;
+        const last = this.lastTime;
+        const average = this.samples.length > 0 ?
+            this.samples.reduce((sum, sample) => sum + sample.time, 0) / this.samples.length : null;
+        const format = (time) => time !== null ? `${time.toFixed(2)} ms` : '--';
+
+        this.stats.textContent = [
+            `GPU time: ${format(last)} (avg ${format(average)})`,
+            `Timing: ${this.method || '--'}`,
+            `Nodes: ${nodeCount}`,
+            `Shader: ${specialized ? 'specialized' : 'generic'}`,
+            `Supersample: ${supersampleFactor}x${supersampleFactor}${edgeAdaptive ? ' at edges' : ''}`,
+            // Edge pixels pay for the first pass and then the full supersampling
+            edgeAdaptive ?
+                `Evaluations per pixel: ~${evaluationsPerSample.toLocaleString()} flat, ` +
+                `~${(evaluationsPerSample * (1 + samples)).toLocaleString()} at edges` :
+                `Evaluations per pixel: ~${(evaluationsPerSample * samples).toLocaleString()}`
+        ].join('\n');
+    }
+
+    drawGraph() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(GRAPH_HEIGHT * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, width, height);
+        if (width === 0) return; // panel hidden
+
+        // Scale to the slowest recent frame, but never below the 60 FPS budget
+        const maxTime = Math.max(TARGET_FRAME_TIME * 1.25, ...this.samples.map(sample => sample.time));
+        const barWidth = width / HISTORY_LENGTH;
+        const offset = HISTORY_LENGTH - this.samples.length; // newest frame at the right edge
+
+        this.samples.forEach((sample, i) => {
+            const x = (offset + i) * barWidth;
+            if (sample.edited) {
+                ctx.fillStyle = '#456';
+                ctx.fillRect(x, 0, Math.max(barWidth, ratio), height);
+            }
+            const barHeight = sample.time / maxTime * height;
+            ctx.fillStyle = sample.time > TARGET_FRAME_TIME ? '#e66' : '#4a4';
+            ctx.fillRect(x, height - barHeight, Math.max(barWidth - ratio, ratio), barHeight);
+        });
+
+        const targetY = height - TARGET_FRAME_TIME / maxTime * height;
+        ctx.fillStyle = '#888';
+        ctx.fillRect(0, Math.round(targetY), width, ratio);
+    }
+}
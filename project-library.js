@@ -0,0 +1,147 @@
+/**
+ * Local project library
+ *
+ * Named graphs saved in localStorage. An index entry { id, name, updatedAt,
+ * thumbnail } is kept per project under INDEX_KEY, and each project's
+ * exported JSON lives under its own key so listing projects doesn't parse
+ * every graph.
+ */
+
+const KEY_PREFIX = 'kaleidoscope:';
+const INDEX_KEY = `${KEY_PREFIX}projects`;
+const LAST_PROJECT_KEY = `${KEY_PREFIX}last-project`;
+
+function projectKey(id) {
+    return `${KEY_PREFIX}project:${id}`;
+}
+
+function createProjectId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+export class ProjectLibrary {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Index entries, most recently saved first
+     */
+    list() {
+        return this.readIndex().sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    get(id) {
+        return this.readIndex().find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * A project's saved graph JSON (unvalidated, for Graph.fromJSON)
+     */
+    load(id) {
+        const text = this.storage.getItem(projectKey(id));
+        if (text === null) {
+            throw new Error('Project not found');
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error('Saved project data is corrupted');
+        }
+    }
+
+    /**
+     * Save graph JSON under an existing id, or as a new project when id is
+     * null. Returns the project's id.
+     */
+    save(id, name, graphData, thumbnail = null) {
+        const index = this.readIndex();
+        let entry = id !== null ? index.find(e => e.id === id) : null;
+        const isNew = !entry;
+        if (isNew) {
+            entry = { id: id !== null ? id : createProjectId(), name: this.uniqueName(name, index) };
+            index.push(entry);
+        }
+        entry.updatedAt = Date.now();
+        if (thumbnail !== null) entry.thumbnail = thumbnail;
+
+        this.write(projectKey(entry.id), JSON.stringify(graphData), entry.name);
+        try {
+            this.writeIndex(index, entry.name);
+        } catch (error) {
+            // Without an index entry nothing would ever find or remove it
+            if (isNew) this.storage.removeItem(projectKey(entry.id));
+            throw error;
+        }
+        return entry.id;
+    }
+
+    rename(id, name) {
+        const index = this.readIndex();
+        const entry = index.find(e => e.id === id);
+        if (!entry) throw new Error('Project not found');
+
+        const trimmed = name.trim();
+        if (!trimmed) throw new Error('Project name cannot be empty');
+
+        entry.name = this.uniqueName(trimmed, index.filter(e => e !== entry));
+        this.writeIndex(index, entry.name);
+        return entry.name;
+    }
+
+    /**
+     * Copy a project under a new name. Returns the copy's id.
+     */
+    duplicate(id) {
+        const entry = this.get(id);
+        if (!entry) throw new Error('Project not found');
+        return this.save(null, `${entry.name} copy`, this.load(id), entry.thumbnail || null);
+    }
+
+    remove(id) {
+        this.writeIndex(this.readIndex().filter(e => e.id !== id));
+        this.storage.removeItem(projectKey(id));
+        if (this.lastProjectId === id) this.lastProjectId = null;
+    }
+
+    get lastProjectId() {
+        return this.storage.getItem(LAST_PROJECT_KEY);
+    }
+
+    set lastProjectId(id) {
+        if (id === null) this.storage.removeItem(LAST_PROJECT_KEY);
+        else this.storage.setItem(LAST_PROJECT_KEY, id);
+    }
+
+    // "Name", or "Name 2", "Name 3", ... if taken
+    uniqueName(name, index) {
+        const taken = new Set(index.map(e => e.name));
+        if (!taken.has(name)) return name;
+        let n = 2;
+        while (taken.has(`${name} ${n}`)) n++;
+        return `${name} ${n}`;
+    }
+
+    readIndex() {
+        try {
+            const index = JSON.parse(this.storage.getItem(INDEX_KEY));
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    writeIndex(index, name) {
+        this.write(INDEX_KEY, JSON.stringify(index), name);
+    }
+
+    write(key, value, name) {
+        try {
+            this.storage.setItem(key, value);
+        } catch (error) {
+            throw new Error(name ?
+                `Not enough browser storage to save "${name}"; delete some projects` :
+                'Not enough browser storage; delete some projects');
+        }
+    }
+}
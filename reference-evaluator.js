@@ -0,0 +1,443 @@
+/**
+ * Pure-JavaScript reference evaluator
+ *
+ * A line-by-line port of the fragment shader in shaders.js. It runs the same
+ * stack machine with the same limits, so it can render a graph without a GPU
+ * (tests, servers) and serve as a known-good baseline when debugging the shader.
+ *
+ * Values are [r, g, b, alpha] arrays, the JS equivalent of the shader's vec4.
+ */
+
+import { hexToRgb } from './palettes.js';
+import { computeNodeBounds, EMPTY_BOUNDS } from './node-bounds.js';
+
+// Limits - must match shaders.js. The stack and iteration limits are
+// uniforms there; these are main.js's defaults (see diagnostics.js).
+export const MAX_STACK = 64;
+export const MAX_ITERATIONS = 500;
+export const MAX_SUPERSAMPLE = 8;
+
+const DEFAULT_LIMITS = { stackLimit: MAX_STACK, iterationLimit: MAX_ITERATIONS };
+
+// Viewport of main.js's default (unzoomed) view
+export const DEFAULT_VIEWPORT = { minX: -2, maxX: 2, minY: -2, maxY: 2 };
+
+// Parameters the shader reads for a slot with no node uploaded
+const EMPTY_SLOT = {
+    baseParent: null,
+    transformParent: null,
+    scale: 1.0,
+    radialRadius: 0,
+    radialCount: 0,
+    rotation: 0,
+    overlap: 'max_alpha'
+};
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function radians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Look up node parameters, falling back to an empty slot like the shader does
+ */
+function readNode(graph, nodeId) {
+    return graph.getNode(nodeId) || EMPTY_SLOT;
+}
+
+function isRootNode(graph, nodeId) {
+    const node = readNode(graph, nodeId);
+    return node.baseParent === null && node.transformParent === null;
+}
+
+/**
+ * Size of one pixel in math units, used for the root circle's antialiasing
+ */
+export function getPixelSize(viewport, width, height) {
+    return Math.hypot(
+        (viewport.maxX - viewport.minX) / width,
+        (viewport.maxY - viewport.minY) / height
+    );
+}
+
+/**
+ * Convert pixel coordinates (gl_FragCoord convention, origin bottom-left)
+ * to mathematical coordinates
+ */
+export function pixelToMath(pixelX, pixelY, viewport, width, height) {
+    const viewportWidth = viewport.maxX - viewport.minX;
+    const viewportHeight = viewport.maxY - viewport.minY;
+
+    const mathX = viewport.minX + (pixelX / width) * viewportWidth;
+    const mathY = viewport.minY + (1.0 - pixelY / height) * viewportHeight; // Flip Y
+
+    return [mathX, mathY];
+}
+
+/**
+ * Resolve the graph's colors once: the shader gets these as uniforms and
+ * per-node texels
+ */
+export function resolveColors(graph) {
+    const fills = new Map();
+    for (const node of graph.getAllNodes()) {
+        if (node.fill) fills.set(node.id, hexToRgb(node.fill));
+    }
+
+    const ink = hexToRgb(graph.palette[0]);
+    const paper = hexToRgb(graph.palette[1]);
+    const rootFill = graph.rootNode && fills.get(graph.rootNode.id);
+
+    return { ink, paper, rootColor: rootFill || ink, fills };
+}
+
+/**
+ * Evaluate root circle at given position
+ * Returns [r, g, b, alpha], drawn in the root color (palette ink by default)
+ */
+export function evaluateRootCircle(pos, pixelSize, colors) {
+    const dist = Math.hypot(pos[0], pos[1]) - 1.0;
+
+    const alpha = 1.0 - smoothstep(-pixelSize, pixelSize, dist);
+
+    return [...colors.rootColor, alpha];
+}
+
+/**
+ * Whether a node is fully transparent at pos, because pos lies outside its
+ * bounding circle plus the antialiased fringe. bounds is from
+ * computeNodeBounds.
+ */
+export function isOutsideBounds(bounds, nodeId, pos, pixelSize) {
+    const { radius, fringeScale } = bounds.get(nodeId) || EMPTY_BOUNDS;
+    return Math.hypot(pos[0], pos[1]) > radius + fringeScale * pixelSize;
+}
+
+/**
+ * Rotate a point by angle (in degrees)
+ */
+export function rotate(pos, angleDegrees) {
+    const angleRad = radians(angleDegrees);
+    const cosA = Math.cos(angleRad);
+    const sinA = Math.sin(angleRad);
+    return [
+        pos[0] * cosA - pos[1] * sinA,
+        pos[0] * sinA + pos[1] * cosA
+    ];
+}
+
+/**
+ * Apply inverse transformations for a specific radial copy index
+ * Returns the source coordinate for this particular copy
+ */
+export function inverseTransformForCopy(pos, node, copyIndex) {
+    const { scale, radialRadius, radialCount, rotation } = node;
+
+    // Step 1: Inverse rotation (global rotation applied to all)
+    let result = rotate(pos, -rotation);
+
+    // Step 2: Inverse radial repeat for this specific copy
+    if (radialCount > 0) {
+        const userAngle = copyIndex * 360.0 / radialCount;
+        const placementAngle = userAngle + rotation - 90.0;
+
+        result = [
+            result[0] - radialRadius * Math.cos(radians(placementAngle)),
+            result[1] - radialRadius * Math.sin(radians(placementAngle))
+        ];
+
+        let copyRotation = rotation;
+        if (radialCount > 1) {
+            copyRotation += userAngle;
+        }
+        result = rotate(result, -copyRotation);
+    }
+
+    // Step 3: Inverse scale
+    if (scale > 0.0001) {
+        result = [result[0] / scale, result[1] / scale];
+    }
+
+    return result;
+}
+
+/**
+ * Swap ink and paper (1 - color for the monochrome palette)
+ */
+export function invertColor(color, colors) {
+    const inverted = [0, 1, 2].map(i =>
+        Math.min(Math.max(colors.ink[i] + colors.paper[i] - color[i], 0), 1));
+    return [...inverted, color[3]];
+}
+
+/**
+ * Color a node's transform layer: its fill if set, else the inverted parent
+ */
+export function transformLayerColor(nodeId, transformValue, colors) {
+    const fill = colors.fills.get(nodeId);
+    if (fill) {
+        return [...fill, transformValue[3]];
+    }
+    return invertColor(transformValue, colors);
+}
+
+export function composite(base, transform) {
+    const alpha = transform[3] + base[3] * (1.0 - transform[3]);
+    if (alpha < 0.001) {
+        return [0.0, 0.0, 0.0, 0.0];
+    }
+    const color = [0, 1, 2].map(i =>
+        (transform[i] * transform[3] + base[i] * base[3] * (1.0 - transform[3])) / alpha);
+    return [...color, alpha];
+}
+
+// Alpha at which a copy covers a point for the first and last policies
+const COVERAGE_THRESHOLD = 0.5;
+
+/**
+ * Fold one radial copy's value into the accumulated transform value,
+ * per the node's overlap policy. Copies arrive in index order.
+ */
+export function accumulateCopy(policy, accum, copy) {
+    switch (policy) {
+        case 'first':
+        case 'last': {
+            // The first (or last) covering copy wins; where none covers,
+            // keep the strongest fringe
+            const [preferred, other] = policy === 'first' ? [accum, copy] : [copy, accum];
+            if (preferred[3] >= COVERAGE_THRESHOLD) return preferred;
+            if (other[3] >= COVERAGE_THRESHOLD) return other;
+            return copy[3] > accum[3] ? copy : accum;
+        }
+        case 'over':
+            return composite(accum, copy);
+        case 'add': {
+            const alpha = Math.min(accum[3] + copy[3], 1.0);
+            if (alpha < 0.001) {
+                return [0.0, 0.0, 0.0, 0.0];
+            }
+            const color = [0, 1, 2].map(i =>
+                Math.min(Math.max((accum[i] * accum[3] + copy[i] * copy[3]) / alpha, 0), 1));
+            return [...color, alpha];
+        }
+        default: // max_alpha
+            return copy[3] > accum[3] ? copy : accum;
+    }
+}
+
+// ============================================================================
+// Stack-based evaluator
+// ============================================================================
+
+const TRANSPARENT = Object.freeze([0.0, 0.0, 0.0, 0.0]);
+
+function makeFrame(nodeId, pos) {
+    return {
+        nodeId,
+        pos,
+        phase: 0, // 0=need_base, 1=have_base
+        baseValue: TRANSPARENT,
+        transformValue: TRANSPARENT,
+        radialIndex: 0
+    };
+}
+
+/**
+ * Evaluate a node at a math coordinate, mirroring evaluateNode in shaders.js
+ * step for step (including where the iteration budget is spent). limits are
+ * { stackLimit, iterationLimit }, like u_stackLimit and u_iterationLimit.
+ */
+export function evaluateNode(graph, targetNodeId, targetPos, pixelSize, colors = resolveColors(graph),
+                             bounds = computeNodeBounds(graph.getAllNodes()), limits = DEFAULT_LIMITS) {
+    const stack = [makeFrame(targetNodeId, targetPos)];
+    let sp = 1;
+    const stackLimit = Math.min(Math.max(limits.stackLimit, 2), MAX_STACK);
+
+    let result = TRANSPARENT;
+    let childReturned = false;
+
+    for (let i = 0; i < limits.iterationLimit; i++) {
+        if (sp === 0) return result;
+        if (sp >= stackLimit) return [1.0, 1.0, 1.0, 1.0];
+
+        const curr = stack[sp - 1];
+
+        // Handle root immediately
+        if (isRootNode(graph, curr.nodeId)) {
+            result = evaluateRootCircle(curr.pos, pixelSize, colors);
+            sp--;
+            childReturned = true;
+            continue;
+        }
+
+        // Handle child return
+        if (childReturned) {
+            childReturned = false;
+            if (curr.phase === 0) {
+                curr.baseValue = result;
+                curr.phase = 1;
+            } else if (curr.phase === 1) {
+                curr.transformValue = accumulateCopy(readNode(graph, curr.nodeId).overlap, curr.transformValue, result);
+            }
+        }
+
+        const node = readNode(graph, curr.nodeId);
+        const bp = node.baseParent;
+        const tp = node.transformParent;
+        const rc = node.radialCount === 0 ? 1 : node.radialCount;
+
+        if (curr.phase === 0) {
+            if (bp === null) {
+                curr.baseValue = TRANSPARENT;
+                curr.phase = 1;
+            } else if (isRootNode(graph, bp)) {
+                curr.baseValue = evaluateRootCircle(curr.pos, pixelSize, colors);
+                curr.phase = 1;
+            } else if (isOutsideBounds(bounds, bp, curr.pos, pixelSize)) {
+                curr.baseValue = TRANSPARENT;
+                curr.phase = 1;
+            } else {
+                stack[sp] = makeFrame(bp, curr.pos);
+                sp++;
+            }
+        } else if (curr.phase === 1) {
+            if (tp === null) {
+                result = curr.baseValue;
+                sp--;
+                childReturned = true;
+            } else if (curr.radialIndex < rc) {
+                const tpos = inverseTransformForCopy(curr.pos, node, curr.radialIndex);
+                curr.radialIndex++;
+
+                if (isOutsideBounds(bounds, tp, tpos, pixelSize)) {
+                    // Transparent copy: the accumulated value stays as it is
+                } else if (isRootNode(graph, tp)) {
+                    result = evaluateRootCircle(tpos, pixelSize, colors);
+                    curr.transformValue = accumulateCopy(node.overlap, curr.transformValue, result);
+                } else {
+                    stack[sp] = makeFrame(tp, tpos);
+                    sp++;
+                }
+            } else {
+                result = composite(curr.baseValue, transformLayerColor(curr.nodeId, curr.transformValue, colors));
+                sp--;
+                childReturned = true;
+            }
+        }
+    }
+
+    if (sp === 0) return result; // finished on the last iteration
+
+    return [1.0, 1.0, 1.0, 0.0]; // Timeout error
+}
+
+/**
+ * Node evaluations evaluateNode performs for one sample of a node: one for
+ * the node itself, one per base parent evaluation and one per radial copy of
+ * the transform parent, recursively. This is the worst case (every copy is
+ * evaluated at every sample); the shader's iteration budget caps it at
+ * MAX_ITERATIONS.
+ */
+export function countEvaluations(graph, targetNodeId) {
+    const counts = new Map(); // memoized per node
+    const count = (nodeId) => {
+        if (isRootNode(graph, nodeId)) return 1;
+        if (counts.has(nodeId)) return counts.get(nodeId);
+        counts.set(nodeId, MAX_ITERATIONS); // a cycle runs out the budget
+
+        const node = readNode(graph, nodeId);
+        const rc = node.radialCount === 0 ? 1 : Math.max(node.radialCount, 0);
+        let total = 1;
+        if (node.baseParent !== null) total += count(node.baseParent);
+        if (node.transformParent !== null) total += rc * count(node.transformParent);
+
+        counts.set(nodeId, Math.min(total, MAX_ITERATIONS));
+        return counts.get(nodeId);
+    };
+    return count(targetNodeId);
+}
+
+/**
+ * Evaluate one output pixel, including the NxN supersampling from the
+ * shader's main(). sampleJitter ([x, y], in sample cells) shifts every
+ * sample like u_sampleJitter; limits are evaluateNode's. Returns
+ * [r, g, b, alpha].
+ */
+export function evaluatePixel(graph, targetNodeId, pixelX, pixelY, options) {
+    const {
+        viewport, width, height, supersampleFactor = 1, sampleJitter = [0, 0],
+        colors = resolveColors(graph), bounds = computeNodeBounds(graph.getAllNodes()),
+        limits = DEFAULT_LIMITS
+    } = options;
+    const pixelSize = getPixelSize(viewport, width, height);
+
+    // Sample at the pixel center, as gl_FragCoord does
+    const centerX = pixelX + 0.5;
+    const centerY = pixelY + 0.5;
+
+    if (supersampleFactor <= 1) {
+        const mathCoord = pixelToMath(centerX + sampleJitter[0], centerY + sampleJitter[1], viewport, width, height);
+        return evaluateNode(graph, targetNodeId, mathCoord, pixelSize, colors, bounds, limits);
+    }
+
+    const factor = Math.min(supersampleFactor, MAX_SUPERSAMPLE);
+    const step = 1.0 / factor;
+    const total = [0.0, 0.0, 0.0, 0.0];
+
+    for (let y = 0; y < factor; y++) {
+        for (let x = 0; x < factor; x++) {
+            const offsetX = (x + 0.5 + sampleJitter[0]) * step - 0.5;
+            const offsetY = (y + 0.5 + sampleJitter[1]) * step - 0.5;
+            const mathCoord = pixelToMath(centerX + offsetX, centerY + offsetY, viewport, width, height);
+            const value = evaluateNode(graph, targetNodeId, mathCoord, pixelSize, colors, bounds, limits);
+            for (let i = 0; i < 4; i++) total[i] += value[i];
+        }
+    }
+
+    const sampleCount = factor * factor;
+    return total.map(value => value / sampleCount);
+}
+
+/**
+ * Render a node into an RGBA8 buffer (ImageData layout: row 0 is the top of
+ * the image as shown on screen). Pixels hold the shader's unblended output.
+ * bounds defaults to computeNodeBounds' for the graph.
+ */
+export function renderToBuffer(graph, targetNodeId, options = {}) {
+    const {
+        width = 800,
+        height = 800,
+        viewport = DEFAULT_VIEWPORT,
+        supersampleFactor = 1,
+        limits = DEFAULT_LIMITS,
+        bounds = computeNodeBounds(graph.getAllNodes())
+    } = options;
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    const pixelOptions = {
+        viewport, width, height, supersampleFactor, limits, bounds,
+        colors: resolveColors(graph)
+    };
+
+    for (let row = 0; row < height; row++) {
+        // WebGL's pixel row 0 is the bottom of the canvas
+        const pixelY = height - 1 - row;
+        for (let x = 0; x < width; x++) {
+            const value = evaluatePixel(graph, targetNodeId, x, pixelY, pixelOptions);
+            const offset = (row * width + x) * 4;
+            for (let i = 0; i < 4; i++) {
+                data[offset + i] = Math.round(value[i] * 255);
+            }
+        }
+    }
+
+    return { width, height, data };
+}
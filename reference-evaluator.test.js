@@ -0,0 +1,65 @@
+/**
+ * Checks for the reference evaluator, runnable without a browser:
+ *
+ *   node --experimental-default-type=module --test
+ *
+ * Renders every node of every example graph at a small size, with and
+ * without bounding-circle culling.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+
+import { Graph } from './graph.js';
+import { renderToBuffer } from './reference-evaluator.js';
+
+const SIZE = 16;
+
+const examplesDir = new URL('./examples/', import.meta.url);
+const examples = readdirSync(examplesDir).filter(name => name.endsWith('.json'));
+
+function loadExample(name) {
+    return Graph.fromJSON(JSON.parse(readFileSync(new URL(name, examplesDir), 'utf8')));
+}
+
+// Bounds that never cull anything
+function unboundedBounds(graph) {
+    return new Map(graph.getAllNodes().map(node => [node.id, { radius: Infinity, fringeScale: Infinity }]));
+}
+
+// The evaluator's stack (opaque white) and timeout (transparent white) outputs
+function isLimitFailure(data, offset) {
+    return data[offset] === 255 && data[offset + 1] === 255 && data[offset + 2] === 255 &&
+           (data[offset + 3] === 255 || data[offset + 3] === 0);
+}
+
+for (const name of examples) {
+    test(`${name} renders every node`, () => {
+        const graph = loadExample(name);
+        for (const node of graph.getAllNodes()) {
+            const { width, height, data } = renderToBuffer(graph, node.id, { width: SIZE, height: SIZE });
+            assert.equal(width, SIZE);
+            assert.equal(height, SIZE);
+            assert.equal(data.length, SIZE * SIZE * 4);
+        }
+    });
+
+    test(`${name} renders the same with and without culling`, () => {
+        const graph = loadExample(name);
+        for (const node of graph.getAllNodes()) {
+            const culled = renderToBuffer(graph, node.id, { width: SIZE, height: SIZE }).data;
+            const unculled = renderToBuffer(graph, node.id, {
+                width: SIZE, height: SIZE, bounds: unboundedBounds(graph)
+            }).data;
+
+            for (let offset = 0; offset < culled.length; offset += 4) {
+                // Culling skips work, so only the unculled render can hit a limit
+                if (isLimitFailure(unculled, offset)) continue;
+                const pixel = offset / 4;
+                assert.deepEqual(culled.subarray(offset, offset + 4), unculled.subarray(offset, offset + 4),
+                                 `node ${node.id}, pixel (${pixel % SIZE}, ${Math.floor(pixel / SIZE)})`);
+            }
+        }
+    });
+}
@@ -0,0 +1,100 @@
+/**
+ * Shader compile and link diagnostics
+ *
+ * Parses GLSL info logs into { severity, line, message } entries and formats
+ * them with an excerpt of the shader source around each reported line, so a
+ * failure points at the code instead of a bare line number.
+ */
+
+// Lines of source shown before and after the reported line
+const EXCERPT_CONTEXT = 2;
+
+// Info log line formats, as [pattern, severity group, line group, message group]:
+//   ANGLE/Mesa/Apple: "ERROR: 0:123: 'x' : undeclared identifier"
+//   NVIDIA:           "0(123) : error C1008: undefined variable "x""
+const LOG_FORMATS = [
+    [/^(ERROR|WARNING|INFO):\s*\d+:(\d+):\s*(.*)$/i, 1, 2, 3],
+    [/^\d+\((\d+)\)\s*:\s*(error|warning|info)\b\s*(.*)$/i, 2, 1, 3]
+];
+
+/**
+ * Parse an info log into diagnostics. Lines in no known format are kept
+ * with line null, so nothing the driver said is lost.
+ */
+export function parseInfoLog(log) {
+    const diagnostics = [];
+
+    // Some drivers pad the log with NUL characters
+    for (const rawLine of (log || '').replace(/\0/g, '').split('\n')) {
+        const text = rawLine.trim();
+        if (!text || /^\d+ compilation errors?/i.test(text)) continue;
+
+        let diagnostic = null;
+        for (const [pattern, severityGroup, lineGroup, messageGroup] of LOG_FORMATS) {
+            const match = text.match(pattern);
+            if (match) {
+                diagnostic = {
+                    severity: match[severityGroup].toLowerCase(),
+                    line: parseInt(match[lineGroup]) || null, // line 0 means "no line"
+                    message: match[messageGroup].trim()
+                };
+                break;
+            }
+        }
+
+        diagnostics.push(diagnostic || {
+            severity: /error/i.test(text) ? 'error' : 'warning',
+            line: null,
+            message: text
+        });
+    }
+
+    return diagnostics;
+}
+
+/**
+ * Numbered source lines around a 1-based line, with the line itself marked
+ */
+export function formatSourceExcerpt(source, line, context = EXCERPT_CONTEXT) {
+    const lines = source.split('\n');
+    if (line < 1 || line > lines.length) return '';
+
+    const first = Math.max(1, line - context);
+    const last = Math.min(lines.length, line + context);
+    const width = String(last).length;
+
+    const excerpt = [];
+    for (let n = first; n <= last; n++) {
+        const marker = n === line ? '>' : ' ';
+        excerpt.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+    }
+    return excerpt.join('\n');
+}
+
+/**
+ * Human-readable report of diagnostics for one shader stage ("Vertex
+ * shader", "Fragment shader", "Program"). source may be null for link logs.
+ */
+export function formatDiagnostics(label, diagnostics, source = null) {
+    return diagnostics.map(({ severity, line, message }, i) => {
+        const heading = `${label} ${severity}${line !== null ? ` at line ${line}` : ''}: ${message}`;
+
+        // Follow-up messages for the same line share the excerpt above them
+        const repeated = i > 0 && diagnostics[i - 1].line === line;
+        const excerpt = source !== null && line !== null && !repeated ? formatSourceExcerpt(source, line) : '';
+        return excerpt ? `${heading}\n${excerpt}` : heading;
+    }).join('\n\n');
+}
+
+/**
+ * A failed compile or link. diagnostics holds the parsed info log.
+ */
+export class ShaderError extends Error {
+    constructor(summary, label, diagnostics, source = null) {
+        super(diagnostics.length > 0 ?
+            `${summary}\n\n${formatDiagnostics(label, diagnostics, source)}` :
+            `${summary} (the driver gave no details)`);
+        this.name = 'ShaderError';
+        this.diagnostics = diagnostics;
+    }
+}
@@ -15,7 +15,13 @@ void main() {
 }
 `;
 
-export const fragmentShaderSource = `#version 300 es
+/**
+ * The fragment shader is assembled from three parts: the prelude (inputs,
+ * uniforms and helpers), an evaluateNode(targetNodeId, pos) implementation
+ * and main(). fragmentShaderSource uses the general stack machine below;
+ * glsl-compiler.js swaps in straight-line code generated for one graph.
+ */
+export const fragmentShaderPrelude = `#version 300 es
 precision highp float;
 
 in vec2 v_texCoord;
@@ -24,20 +30,47 @@ out vec4 fragColor;
 // Viewport configuration
 uniform vec2 u_resolution;
 uniform vec4 u_viewport; // minX, maxX, minY, maxY
+uniform vec2 u_pixelOffset; // position of this render within u_resolution (tiled export)
+uniform vec2 u_sampleJitter; // shift of each sample within its cell, in cells (0 = centered)
 
 // Rendering settings
 uniform int u_supersampleFactor;
 uniform int u_targetNodeId;
 
-// Graph data - node properties
-const int MAX_NODES = 256;
+// Edge-adaptive supersampling (see edge-adaptive.js): when set, this is the
+// second pass, and only pixels that differ from a neighbor in the first
+// pass (one sample per pixel, in u_edgePass) are supersampled
+uniform bool u_edgeAdaptive;
+uniform highp sampler2D u_edgePass;
+uniform float u_edgeThreshold;
+
+// Graph data - node properties packed into a float texture (see graph-texture.js)
+// texel 0: baseParent, transformParent, radialCount, overlap policy
+// texel 1: scale, radialRadius, rotation
+// texel 2: fill rgb, hasFill
+// texel 3: bounding radius, fringe scale (see node-bounds.js)
+const int NODE_TEXELS = 4;
 uniform int u_nodeCount;
-uniform int u_nodeBaseParents[MAX_NODES];
-uniform int u_nodeTransformParents[MAX_NODES];
-uniform float u_nodeScales[MAX_NODES];
-uniform float u_nodeRadialRadii[MAX_NODES];
-uniform int u_nodeRadialCounts[MAX_NODES];
-uniform float u_nodeRotations[MAX_NODES];
+uniform highp sampler2D u_nodeData;
+
+// Colors - palette [ink, paper] and the root circle's color
+uniform vec3 u_paletteInk;
+uniform vec3 u_palettePaper;
+uniform vec3 u_rootColor;
+
+// Diagnostics (see diagnostics.js): 0 = off, 1 = tint samples that hit an
+// evaluation limit, 2 = write each pixel's failure encoded for readback
+uniform int u_diagnosticsMode;
+const int DIAGNOSTICS_TINT = 1;
+const int DIAGNOSTICS_ENCODE = 2;
+
+// How the last evaluateNode() call failed, and the slot of the node it was
+// evaluating when it did. Evaluators without limits never set them.
+const int FAILURE_NONE = 0;
+const int FAILURE_STACK = 1;
+const int FAILURE_TIMEOUT = 2;
+int evalFailure = FAILURE_NONE;
+int evalFailureNode = -1;
 
 // Maximum recursion depth to prevent infinite loops
 const int MAX_DEPTH = 32;
@@ -60,11 +93,43 @@ vec2 pixelToMath(vec2 pixelCoord) {
     return vec2(mathX, mathY);
 }
 
+/**
+ * Fetch one texel of a node's data. Slots outside the uploaded range read
+ * as an empty node (no parents, scale 1), which draws the root circle.
+ */
+vec4 fetchNodeTexel(int nodeId, int texel) {
+    if (nodeId < 0 || nodeId >= u_nodeCount) {
+        return texel == 0 ? vec4(-1.0, -1.0, 0.0, 0.0) :
+               texel == 1 ? vec4(1.0, 0.0, 0.0, 0.0) :
+               texel == 3 ? vec4(1.0, 1.0, 0.0, 0.0) : vec4(0.0);
+    }
+    int index = nodeId * NODE_TEXELS + texel;
+    int width = textureSize(u_nodeData, 0).x;
+    return texelFetch(u_nodeData, ivec2(index % width, index / width), 0);
+}
+
+int getBaseParent(int nodeId) {
+    return int(fetchNodeTexel(nodeId, 0).x);
+}
+
+int getTransformParent(int nodeId) {
+    return int(fetchNodeTexel(nodeId, 0).y);
+}
+
+int getRadialCount(int nodeId) {
+    return int(fetchNodeTexel(nodeId, 0).z);
+}
+
+int getOverlapPolicy(int nodeId) {
+    return int(fetchNodeTexel(nodeId, 0).w);
+}
+
 /**
  * Check if a node is the root node
  */
 bool isRootNode(int nodeId) {
-    return u_nodeBaseParents[nodeId] == -1 && u_nodeTransformParents[nodeId] == -1;
+    vec4 links = fetchNodeTexel(nodeId, 0);
+    return int(links.x) == -1 && int(links.y) == -1;
 }
 
 /**
@@ -74,19 +139,34 @@ float circleSDF(vec2 pos, float radius) {
     return length(pos) - radius;
 }
 
+/**
+ * Size of one pixel in math units, used for the root circle's antialiasing
+ */
+float getPixelSize() {
+    return length(vec2(u_viewport.y - u_viewport.x, u_viewport.w - u_viewport.z) / u_resolution);
+}
+
 /**
  * Evaluate root circle at given position
- * Returns vec2(color, alpha) where color is 0=black, 1=white
+ * Returns vec4(rgb, alpha), drawn in the root color (palette ink by default)
  */
-vec2 evaluateRootCircle(vec2 pos) {
-    float pixelSize = length(vec2(u_viewport.y - u_viewport.x, u_viewport.w - u_viewport.z) / u_resolution);
+vec4 evaluateRootCircle(vec2 pos) {
+    float pixelSize = getPixelSize();
     float dist = circleSDF(pos, 1.0);
 
     // smoothstep for antialiasing at edge
     float alpha = 1.0 - smoothstep(-pixelSize, pixelSize, dist);
-    float color = 0.0; // black circle
 
-    return vec2(color, alpha);
+    return vec4(u_rootColor, alpha);
+}
+
+/**
+ * Whether a node is fully transparent at pos (in its own coordinates),
+ * because pos lies outside its bounding circle plus the antialiased fringe
+ */
+bool isOutsideBounds(int nodeId, vec2 pos) {
+    vec4 bounds = fetchNodeTexel(nodeId, 3);
+    return length(pos) > bounds.x + bounds.y * getPixelSize();
 }
 
 /**
@@ -107,10 +187,11 @@ vec2 rotate(vec2 pos, float angleDegrees) {
  * Returns the source coordinate for this particular copy
  */
 vec2 inverseTransformForCopy(vec2 pos, int nodeId, int copyIndex) {
-    float scale = u_nodeScales[nodeId];
-    float radialRadius = u_nodeRadialRadii[nodeId];
-    int radialCount = u_nodeRadialCounts[nodeId];
-    float rotation = u_nodeRotations[nodeId];
+    vec4 params = fetchNodeTexel(nodeId, 1);
+    float scale = params.x;
+    float radialRadius = params.y;
+    int radialCount = getRadialCount(nodeId);
+    float rotation = params.z;
 
     vec2 result = pos;
 
@@ -146,51 +227,122 @@ vec2 inverseTransformForCopy(vec2 pos, int nodeId, int copyIndex) {
     return result;
 }
 
-vec2 invertColor(vec2 colorAlpha) {
-    return vec2(1.0 - colorAlpha.x, colorAlpha.y);
+/**
+ * Swap ink and paper: reflects the color through the palette's midpoint,
+ * which is 1 - color for the monochrome palette
+ */
+vec4 invertColor(vec4 color) {
+    return vec4(clamp(u_paletteInk + u_palettePaper - color.rgb, 0.0, 1.0), color.a);
+}
+
+/**
+ * Color a node's transform layer: its fill color if it has one,
+ * otherwise the inverted transform parent
+ */
+vec4 transformLayerColor(int nodeId, vec4 transformValue) {
+    vec4 fill = fetchNodeTexel(nodeId, 2);
+    if (fill.a > 0.5) {
+        return vec4(fill.rgb, transformValue.a);
+    }
+    return invertColor(transformValue);
 }
 
-vec2 composite(vec2 base, vec2 transform) {
-    float alpha = transform.y + base.y * (1.0 - transform.y);
+vec4 composite(vec4 base, vec4 transform) {
+    float alpha = transform.a + base.a * (1.0 - transform.a);
     if (alpha < 0.001) {
-        return vec2(0.0, 0.0);
+        return vec4(0.0);
+    }
+    vec3 color = (transform.rgb * transform.a + base.rgb * base.a * (1.0 - transform.a)) / alpha;
+    return vec4(color, alpha);
+}
+
+// Overlap policies for radial copies (see OVERLAP_POLICIES in graph.js)
+const int OVERLAP_MAX_ALPHA = 0;
+const int OVERLAP_FIRST = 1;
+const int OVERLAP_LAST = 2;
+const int OVERLAP_OVER = 3;
+const int OVERLAP_ADD = 4;
+
+// Alpha at which a copy covers a point for the first and last policies.
+// Lower alphas are antialiased fringe, which mustn't hide an opaque copy.
+const float COVERAGE_THRESHOLD = 0.5;
+
+/**
+ * Fold one radial copy's value into the accumulated transform value.
+ * Copies arrive in index order.
+ */
+vec4 accumulateCopy(int policy, vec4 accum, vec4 copy) {
+    if (policy == OVERLAP_FIRST || policy == OVERLAP_LAST) {
+        // The first (or last) covering copy wins; where none covers, keep
+        // the strongest fringe
+        vec4 preferred = policy == OVERLAP_FIRST ? accum : copy;
+        vec4 other = policy == OVERLAP_FIRST ? copy : accum;
+        if (preferred.a >= COVERAGE_THRESHOLD) return preferred;
+        if (other.a >= COVERAGE_THRESHOLD) return other;
+        return copy.a > accum.a ? copy : accum;
+    } else if (policy == OVERLAP_OVER) {
+        return composite(accum, copy);
+    } else if (policy == OVERLAP_ADD) {
+        vec3 premultiplied = accum.rgb * accum.a + copy.rgb * copy.a;
+        float alpha = min(accum.a + copy.a, 1.0);
+        if (alpha < 0.001) {
+            return vec4(0.0);
+        }
+        return vec4(clamp(premultiplied / alpha, 0.0, 1.0), alpha);
     }
-    float color = (transform.x * transform.y + base.x * base.y * (1.0 - transform.y)) / alpha;
-    return vec2(color, alpha);
+    // OVERLAP_MAX_ALPHA
+    return copy.a > accum.a ? copy : accum;
 }
+`;
 
+export const stackEvaluatorSource = `
 // Stack frame for evaluation state machine
 struct EvalFrame {
     int nodeId;
     vec2 pos;
     int phase; // 0=NEED_BASE, 1=HAVE_BASE, 2=COMPLETE
-    vec2 baseValue;
-    vec2 transformValue;
+    vec4 baseValue;
+    vec4 transformValue;
     int radialIndex;
 };
 
 /**
- * Stack-based node evaluator - handles arbitrary depth
+ * Stack-based node evaluator - handles arbitrary depth up to its limits.
+ * Running out of stack returns opaque white, running out of iterations
+ * transparent white; either sets evalFailure.
  */
 const int MAX_STACK = 64;
 
-vec2 evaluateNode(int targetNodeId, vec2 targetPos) {
+// Evaluation limits: stack frames (2 to MAX_STACK, the target's own frame
+// included) and loop iterations
+uniform int u_stackLimit;
+uniform int u_iterationLimit;
+
+vec4 evaluateNode(int targetNodeId, vec2 targetPos) {
     EvalFrame stack[MAX_STACK];
     int sp = 1;
+    int stackLimit = clamp(u_stackLimit, 2, MAX_STACK);
+
+    evalFailure = FAILURE_NONE;
+    evalFailureNode = -1;
     
     stack[0].nodeId = targetNodeId;
     stack[0].pos = targetPos;
     stack[0].phase = 0; // 0=need_base, 1=have_base
-    stack[0].baseValue = vec2(0.0, 0.0);
-    stack[0].transformValue = vec2(0.0, 0.0);
+    stack[0].baseValue = vec4(0.0);
+    stack[0].transformValue = vec4(0.0);
     stack[0].radialIndex = 0;
     
-    vec2 result = vec2(0.0, 0.0);
+    vec4 result = vec4(0.0);
     bool childReturned = false;
     
-    for (int i = 0; i < 500; i++) {
+    for (int i = 0; i < u_iterationLimit; i++) {
         if (sp == 0) return result;
-        if (sp >= MAX_STACK) return vec2(1.0, 1.0);
+        if (sp >= stackLimit) {
+            evalFailure = FAILURE_STACK;
+            evalFailureNode = stack[sp - 1].nodeId;
+            return vec4(1.0);
+        }
         
         EvalFrame curr = stack[sp - 1];
         
@@ -212,35 +364,38 @@ vec2 evaluateNode(int targetNodeId, vec2 targetPos) {
                 stack[sp - 1] = curr;
             } else if (curr.phase == 1) {
                 // Returned from transform parent
-                if (result.y > curr.transformValue.y) {
-                    curr.transformValue = result;
-                }
+                curr.transformValue = accumulateCopy(getOverlapPolicy(curr.nodeId), curr.transformValue, result);
                 stack[sp - 1] = curr;
             }
         }
         
-        int bp = u_nodeBaseParents[curr.nodeId];
-        int tp = u_nodeTransformParents[curr.nodeId];
-        int rc = u_nodeRadialCounts[curr.nodeId];
+        int bp = getBaseParent(curr.nodeId);
+        int tp = getTransformParent(curr.nodeId);
+        int rc = getRadialCount(curr.nodeId);
         if (rc == 0) rc = 1;
         
         if (curr.phase == 0) {
             // Need base parent
             if (bp < 0) {
-                curr.baseValue = vec2(0.0, 0.0);
+                curr.baseValue = vec4(0.0);
                 curr.phase = 1;
                 stack[sp - 1] = curr;
             } else if (isRootNode(bp)) {
                 curr.baseValue = evaluateRootCircle(curr.pos);
                 curr.phase = 1;
                 stack[sp - 1] = curr;
+            } else if (isOutsideBounds(bp, curr.pos)) {
+                // Base parent is transparent here; skip evaluating it
+                curr.baseValue = vec4(0.0);
+                curr.phase = 1;
+                stack[sp - 1] = curr;
             } else {
                 // Push base parent
                 stack[sp].nodeId = bp;
                 stack[sp].pos = curr.pos;
                 stack[sp].phase = 0;
-                stack[sp].baseValue = vec2(0.0, 0.0);
-                stack[sp].transformValue = vec2(0.0, 0.0);
+                stack[sp].baseValue = vec4(0.0);
+                stack[sp].transformValue = vec4(0.0);
                 stack[sp].radialIndex = 0;
                 sp++;
             }
@@ -256,46 +411,124 @@ vec2 evaluateNode(int targetNodeId, vec2 targetPos) {
                 curr.radialIndex++;
                 stack[sp - 1] = curr;
                 
-                if (isRootNode(tp)) {
+                if (isOutsideBounds(tp, tpos)) {
+                    // This copy is transparent here, which leaves the
+                    // accumulated value unchanged under every overlap policy
+                } else if (isRootNode(tp)) {
                     result = evaluateRootCircle(tpos);
-                    if (result.y > curr.transformValue.y) {
-                        curr.transformValue = result;
-                    }
+                    curr.transformValue = accumulateCopy(getOverlapPolicy(curr.nodeId), curr.transformValue, result);
                     stack[sp - 1] = curr;
                 } else {
                     // Push transform parent at tpos
                     stack[sp].nodeId = tp;
                     stack[sp].pos = tpos;
                     stack[sp].phase = 0;
-                    stack[sp].baseValue = vec2(0.0, 0.0);
-                    stack[sp].transformValue = vec2(0.0, 0.0);
+                    stack[sp].baseValue = vec4(0.0);
+                    stack[sp].transformValue = vec4(0.0);
                     stack[sp].radialIndex = 0;
                     sp++;
                 }
             } else {
                 // Done with all radial copies
-                result = composite(curr.baseValue, invertColor(curr.transformValue));
+                result = composite(curr.baseValue, transformLayerColor(curr.nodeId, curr.transformValue));
                 sp--;
                 childReturned = true;
             }
         }
     }
     
-    return vec2(1.0, 0.0); // Timeout error (red)
+    if (sp == 0) return result; // finished on the last iteration
+
+    evalFailure = FAILURE_TIMEOUT;
+    evalFailureNode = stack[sp - 1].nodeId;
+    return vec4(1.0, 1.0, 1.0, 0.0);
+}
+`;
+
+export const fragmentShaderMain = `
+/**
+ * Whether a first-pass pixel differs from one of its four neighbors by more
+ * than u_edgeThreshold in any premultiplied channel
+ */
+bool isEdgePixel(ivec2 pixel, vec4 center) {
+    ivec2 maxPixel = textureSize(u_edgePass, 0) - 1;
+    vec4 premultiplied = vec4(center.rgb * center.a, center.a);
+    ivec2 offsets[4] = ivec2[4](ivec2(1, 0), ivec2(-1, 0), ivec2(0, 1), ivec2(0, -1));
+
+    for (int i = 0; i < 4; i++) {
+        vec4 neighbor = texelFetch(u_edgePass, clamp(pixel + offsets[i], ivec2(0), maxPixel), 0);
+        vec4 diff = abs(vec4(neighbor.rgb * neighbor.a, neighbor.a) - premultiplied);
+        if (max(max(diff.r, diff.g), max(diff.b, diff.a)) > u_edgeThreshold) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Overlay colors of the diagnostics view, by failure
+const vec3 STACK_TINT = vec3(1.0, 0.0, 1.0);
+const vec3 TIMEOUT_TINT = vec3(0.0, 1.0, 1.0);
+
+// Samples of this pixel that hit each limit, and the last failing node
+int stackFailures = 0;
+int timeoutFailures = 0;
+int failureNode = -1;
+
+/**
+ * evaluateNode(), counting the sample's failure if it has one
+ */
+vec4 evaluateSample(vec2 mathCoord) {
+    vec4 value = evaluateNode(u_targetNodeId, mathCoord);
+    if (evalFailure == FAILURE_STACK) stackFailures++;
+    if (evalFailure == FAILURE_TIMEOUT) timeoutFailures++;
+    if (evalFailure != FAILURE_NONE) failureNode = evalFailureNode;
+    return value;
+}
+
+/**
+ * The pixel's color under the diagnostics mode: tinted by the failure most
+ * of its samples hit, or the failure and node packed into bytes (type,
+ * low and high byte of slot + 1)
+ */
+vec4 applyDiagnostics(vec4 color, int sampleCount) {
+    int failures = stackFailures + timeoutFailures;
+    int failure = failures == 0 ? FAILURE_NONE :
+                  stackFailures >= timeoutFailures ? FAILURE_STACK : FAILURE_TIMEOUT;
+
+    if (u_diagnosticsMode == DIAGNOSTICS_ENCODE) {
+        int node = failure == FAILURE_NONE ? 0 : failureNode + 1;
+        return vec4(float(failure), float(node % 256), float(node / 256 % 256), 255.0) / 255.0;
+    }
+    if (failure == FAILURE_NONE) return color;
+
+    // Opaque, so the tint shows on any background; stronger where more
+    // samples failed
+    vec3 tint = failure == FAILURE_STACK ? STACK_TINT : TIMEOUT_TINT;
+    float strength = 0.5 + 0.5 * float(failures) / float(sampleCount);
+    return vec4(mix(color.rgb * color.a + 0.5 * (1.0 - color.a), tint, strength), 1.0);
 }
 
 /**
  * Main fragment shader entry point
  */
 void main() {
-    vec2 pixelCoord = gl_FragCoord.xy;
+    vec2 pixelCoord = gl_FragCoord.xy + u_pixelOffset;
+
+    if (u_edgeAdaptive) {
+        // Flat regions keep the first pass's single sample
+        ivec2 pixel = ivec2(gl_FragCoord.xy);
+        vec4 firstPass = texelFetch(u_edgePass, pixel, 0);
+        if (!isEdgePixel(pixel, firstPass)) {
+            fragColor = firstPass;
+            return;
+        }
+    }
 
     if (u_supersampleFactor <= 1) {
-        vec2 mathCoord = pixelToMath(pixelCoord);
-        vec2 result = evaluateNode(u_targetNodeId, mathCoord);
-        fragColor = vec4(vec3(result.x), result.y);
+        vec2 mathCoord = pixelToMath(pixelCoord + u_sampleJitter);
+        fragColor = evaluateSample(mathCoord);
     } else {
-        vec2 totalValue = vec2(0.0, 0.0);
+        vec4 totalValue = vec4(0.0);
         int sampleCount = u_supersampleFactor * u_supersampleFactor;
         float step = 1.0 / float(u_supersampleFactor);
 
@@ -304,15 +537,36 @@ void main() {
             for (int x = 0; x < 8; x++) {
                 if (x >= u_supersampleFactor) break;
 
-                vec2 offset = vec2(float(x), float(y)) * step + step * 0.5 - 0.5;
+                vec2 offset = (vec2(float(x), float(y)) + 0.5 + u_sampleJitter) * step - 0.5;
                 vec2 sampleCoord = pixelCoord + offset;
                 vec2 mathCoord = pixelToMath(sampleCoord);
-                totalValue += evaluateNode(u_targetNodeId, mathCoord);
+                totalValue += evaluateSample(mathCoord);
             }
         }
 
-        vec2 avgValue = totalValue / float(sampleCount);
-        fragColor = vec4(vec3(avgValue.x), avgValue.y);
+        fragColor = totalValue / float(sampleCount);
+    }
+
+    if (u_diagnosticsMode != 0) {
+        fragColor = applyDiagnostics(fragColor, max(u_supersampleFactor * u_supersampleFactor, 1));
     }
 }
 `;
+
+export const fragmentShaderSource = fragmentShaderPrelude + stackEvaluatorSource + fragmentShaderMain;
+
+/**
+ * Copies the progressive accumulation buffer (see accumulation.js) to the
+ * canvas. It is the same size as the canvas, so texels map 1:1 to pixels.
+ */
+export const accumulationDisplayShaderSource = `#version 300 es
+precision highp float;
+
+out vec4 fragColor;
+
+uniform highp sampler2D u_accumulation;
+
+void main() {
+    fragColor = texelFetch(u_accumulation, ivec2(gl_FragCoord.xy), 0);
+}
+`;
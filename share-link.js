@@ -0,0 +1,93 @@
+/**
+ * Shareable links
+ *
+ * The graph, view and selected node are stored in the URL hash as
+ * "#share=<version>.<payload>", where the payload is the exported JSON,
+ * deflate-compressed and base64url-encoded. The version lets later formats
+ * change the payload while old links keep opening.
+ */
+
+export const SHARE_FORMAT_VERSION = 1;
+
+const HASH_PREFIX = '#share=';
+
+// Larger argument lists can overflow the call stack in String.fromCharCode
+const CHUNK_SIZE = 0x8000;
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Whether a URL hash holds a share link
+ */
+export function isShareHash(hash) {
+    return hash.startsWith(HASH_PREFIX);
+}
+
+/**
+ * Build the hash for a graph's exported JSON (including its view) and the
+ * selected node id (or null)
+ */
+export async function encodeShareHash(graphData, selectedNodeId) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('This browser cannot create compressed share links');
+    }
+
+    const json = JSON.stringify({ ...graphData, selected: selectedNodeId });
+    const compressed = await transformBytes(new TextEncoder().encode(json),
+                                            new CompressionStream('deflate-raw'));
+    return `${HASH_PREFIX}${SHARE_FORMAT_VERSION}.${bytesToBase64Url(compressed)}`;
+}
+
+/**
+ * Decode a share hash into { graphData, selectedNodeId }. graphData is
+ * still unvalidated JSON for Graph.fromJSON. Throws with a message meant
+ * for the user when the link is damaged.
+ */
+export async function decodeShareHash(hash) {
+    const body = hash.slice(HASH_PREFIX.length);
+    const separator = body.indexOf('.');
+    const version = Number(body.slice(0, separator));
+
+    if (separator < 1 || !Number.isInteger(version) || version < 1) {
+        throw new Error('The link is missing its format version; it may have been cut off');
+    }
+    if (version > SHARE_FORMAT_VERSION) {
+        throw new Error(`The link uses share format ${version}, which is newer than this page supports`);
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot open compressed share links');
+    }
+
+    let payload;
+    try {
+        const bytes = base64UrlToBytes(decodeURIComponent(body.slice(separator + 1)));
+        const json = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        payload = JSON.parse(new TextDecoder().decode(json));
+    } catch (error) {
+        throw new Error('The link is corrupted or incomplete; ask for it to be copied again');
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error('The link does not contain a graph');
+    }
+
+    const { selected, ...graphData } = payload;
+    return { graphData, selectedNodeId: selected !== undefined ? selected : null };
+}
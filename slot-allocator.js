@@ -0,0 +1,55 @@
+/**
+ * Maps graph node IDs to dense GPU slot indices
+ *
+ * Node IDs can be any unique integer or string, but the shader addresses node
+ * data by position in the graph texture. The allocator keeps each node in the
+ * same slot across uploads and reuses slots freed by deleted nodes, so the
+ * slot range stays as small as the graph.
+ */
+export class SlotAllocator {
+    constructor() {
+        this.slots = new Map(); // id -> slot
+        this.freeSlots = [];
+        this.size = 0; // one past the highest slot ever handed out
+    }
+
+    /**
+     * Forget all assignments, e.g. when a different graph is loaded
+     */
+    reset() {
+        this.slots.clear();
+        this.freeSlots = [];
+        this.size = 0;
+    }
+
+    /**
+     * Release slots of nodes no longer in the graph and assign slots to new ones
+     */
+    sync(graph) {
+        for (const [id, slot] of this.slots) {
+            if (!graph.nodes.has(id)) {
+                this.slots.delete(id);
+                this.freeSlots.push(slot);
+            }
+        }
+
+        // Hand out the lowest free slots first to keep the range compact
+        this.freeSlots.sort((a, b) => b - a);
+
+        for (const node of graph.getAllNodes()) {
+            if (!this.slots.has(node.id)) {
+                const slot = this.freeSlots.length > 0 ? this.freeSlots.pop() : this.size++;
+                this.slots.set(node.id, slot);
+            }
+        }
+    }
+
+    /**
+     * Get the slot for a node ID, or -1 if it has none (e.g. a null parent)
+     */
+    getSlot(id) {
+        if (id === null || id === undefined) return -1;
+        const slot = this.slots.get(id);
+        return slot !== undefined ? slot : -1;
+    }
+}
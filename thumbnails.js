@@ -0,0 +1,235 @@
+/**
+ * Live thumbnail strip
+ *
+ * Renders every node with the main fragment shader into a small offscreen
+ * target (one draw per node, u_targetNodeId set to its slot) and copies the
+ * result into a per-node canvas. A node is only redrawn when its own
+ * parameters, one of its ancestors' parameters or the palette change.
+ */
+
+import { DEFAULT_VIEW, viewToViewport } from './view.js';
+import { createRenderTarget, saveDrawState, restoreDrawState } from './webgl-utils.js';
+
+const THUMBNAIL_SIZE = 96;
+const THUMBNAIL_SUPERSAMPLE = 2;
+
+/**
+ * Everything about a node that changes its own rendering, as a string.
+ * Comments and keyframes are left out: keyframes reach the render through
+ * the animated parameter values.
+ */
+function nodeRenderKey(node) {
+    return JSON.stringify([
+        node.baseParent, node.transformParent, node.scale, node.radialRadius,
+        node.radialCount, node.rotation, node.fill, node.overlap
+    ]);
+}
+
+/**
+ * Ids of nodes whose render key differs from previousKeys, or that have an
+ * ancestor whose key does. Returns { dirty: Set, keys: Map id -> key }.
+ */
+export function findDirtyNodes(graph, previousKeys) {
+    const keys = new Map();
+    for (const node of graph.getAllNodes()) {
+        keys.set(node.id, nodeRenderKey(node));
+    }
+
+    const dirty = new Map(); // id -> boolean, memoized
+    const isDirty = (nodeId) => {
+        if (dirty.has(nodeId)) return dirty.get(nodeId);
+        dirty.set(nodeId, false); // guards against cycles in an unvalidated graph
+
+        const node = graph.getNode(nodeId);
+        let result = previousKeys.get(nodeId) !== keys.get(nodeId);
+        for (const parentId of [node.baseParent, node.transformParent]) {
+            if (parentId !== null && graph.getNode(parentId) && isDirty(parentId)) {
+                result = true;
+            }
+        }
+        dirty.set(nodeId, result);
+        return result;
+    };
+
+    const result = new Set();
+    for (const node of graph.getAllNodes()) {
+        if (isDirty(node.id)) result.add(node.id);
+    }
+    return { dirty: result, keys };
+}
+
+export class ThumbnailStrip {
+    /**
+     * locations must include u_resolution, u_pixelOffset, u_sampleJitter,
+     * u_edgeAdaptive, u_diagnosticsMode, u_viewport, u_supersampleFactor and u_targetNodeId. slots maps node ids to
+     * texture slots (a SlotAllocator). onSelect(nodeId) fires on click.
+     */
+    constructor(container, gl, program, locations, slots, onSelect) {
+        this.container = container;
+        this.gl = gl;
+        this.program = program;
+        this.locations = locations;
+        this.slots = slots;
+        this.onSelect = onSelect;
+
+        this.entries = new Map(); // node id -> { element, context, key }
+        this.paletteKey = null;
+        this.target = null;
+        this.pixels = new Uint8Array(THUMBNAIL_SIZE * THUMBNAIL_SIZE * 4);
+        this.pendingGraph = null;
+        this.selectedNodeId = null;
+    }
+
+    /**
+     * Schedule a refresh after the graph texture has been re-uploaded.
+     * Several calls within one frame collapse into a single refresh.
+     */
+    invalidate(graph) {
+        const scheduled = this.pendingGraph !== null;
+        this.pendingGraph = graph;
+        if (!scheduled) {
+            requestAnimationFrame(() => {
+                const pending = this.pendingGraph;
+                this.pendingGraph = null;
+                this.refresh(pending);
+            });
+        }
+    }
+
+    /**
+     * Like invalidate, but redraw every thumbnail, for changes outside the
+     * graph (e.g. the shader's evaluation limits)
+     */
+    invalidateAll(graph) {
+        this.paletteKey = null;
+        this.invalidate(graph);
+    }
+
+    /**
+     * Sync thumbnails with the graph and redraw the ones that changed
+     */
+    refresh(graph) {
+        this.syncEntries(graph);
+
+        const previousKeys = new Map();
+        const paletteKey = graph.palette.join();
+        if (paletteKey === this.paletteKey) {
+            for (const [nodeId, entry] of this.entries) {
+                previousKeys.set(nodeId, entry.key);
+            }
+        }
+        this.paletteKey = paletteKey;
+
+        const { dirty, keys } = findDirtyNodes(graph, previousKeys);
+        if (dirty.size === 0) return;
+
+        const gl = this.gl;
+        if (!this.target) {
+            this.target = createRenderTarget(gl, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        }
+
+        const drawState = saveDrawState(gl);
+        gl.useProgram(this.program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.target.framebuffer);
+
+        for (const nodeId of dirty) {
+            const entry = this.entries.get(nodeId);
+            this.renderNode(nodeId, entry.context);
+            entry.key = keys.get(nodeId);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        restoreDrawState(gl, drawState);
+    }
+
+    /**
+     * Draw one node into the offscreen target and copy it to its canvas
+     */
+    renderNode(nodeId, context) {
+        const gl = this.gl;
+        const locations = this.locations;
+        const viewport = viewToViewport(DEFAULT_VIEW);
+
+        gl.uniform2f(locations.u_resolution, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        gl.uniform2f(locations.u_pixelOffset, 0, 0);
+        gl.uniform2f(locations.u_sampleJitter, 0, 0);
+        gl.uniform1i(locations.u_edgeAdaptive, 0);
+        gl.uniform1i(locations.u_diagnosticsMode, 0);
+        gl.uniform4f(locations.u_viewport, viewport.minX, viewport.maxX, viewport.minY, viewport.maxY);
+        gl.uniform1i(locations.u_supersampleFactor, THUMBNAIL_SUPERSAMPLE);
+        gl.uniform1i(locations.u_targetNodeId, this.slots.getSlot(nodeId));
+
+        gl.viewport(0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        gl.disable(gl.BLEND);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.readPixels(0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE, gl.RGBA, gl.UNSIGNED_BYTE, this.pixels);
+
+        // GL rows run bottom-up; the canvas runs top-down
+        const image = context.createImageData(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        const rowBytes = THUMBNAIL_SIZE * 4;
+        for (let row = 0; row < THUMBNAIL_SIZE; row++) {
+            const source = this.pixels.subarray(row * rowBytes, (row + 1) * rowBytes);
+            image.data.set(source, (THUMBNAIL_SIZE - 1 - row) * rowBytes);
+        }
+        context.putImageData(image, 0, 0);
+    }
+
+    /**
+     * Add and remove thumbnail elements so they match the graph's nodes,
+     * keeping existing canvases (and their images) for surviving nodes
+     */
+    syncEntries(graph) {
+        const nodes = graph.getAllNodes();
+        const ids = new Set(nodes.map(node => node.id));
+
+        for (const [nodeId, entry] of this.entries) {
+            if (!ids.has(nodeId)) {
+                entry.element.remove();
+                this.entries.delete(nodeId);
+            }
+        }
+
+        for (const node of nodes) {
+            let entry = this.entries.get(node.id);
+            if (!entry) {
+                entry = this.createEntry(node.id);
+                this.entries.set(node.id, entry);
+            }
+            entry.label.textContent = node.isRoot() ? `${node.id} (Root)` : String(node.id);
+            entry.element.title = node.comment ? `Node ${node.id}: ${node.comment}` : `Node ${node.id}`;
+            entry.element.classList.toggle('selected', node.id === this.selectedNodeId);
+            this.container.appendChild(entry.element); // keeps graph order
+        }
+    }
+
+    createEntry(nodeId) {
+        const element = document.createElement('div');
+        element.className = 'thumbnail';
+
+        const canvas = document.createElement('canvas');
+        canvas.width = THUMBNAIL_SIZE;
+        canvas.height = THUMBNAIL_SIZE;
+        element.appendChild(canvas);
+
+        const label = document.createElement('span');
+        element.appendChild(label);
+
+        element.addEventListener('click', () => this.onSelect(nodeId));
+
+        return { element, label, context: canvas.getContext('2d'), key: null };
+    }
+
+    /**
+     * Highlight the selected node's thumbnail
+     */
+    setSelected(nodeId) {
+        this.selectedNodeId = nodeId;
+        for (const [id, entry] of this.entries) {
+            entry.element.classList.toggle('selected', id === nodeId);
+        }
+        const selected = this.entries.get(nodeId);
+        if (selected) selected.element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Render view: pan and zoom over the math plane
+ *
+ * A view is { centerX, centerY, zoom }. At zoom 1 the view shows [-2, 2]
+ * along the output's shorter side (both axes for a square output), the same
+ * region the renderer always used before views existed.
+ */
+
+export const DEFAULT_VIEW = Object.freeze({ centerX: 0, centerY: 0, zoom: 1 });
+
+// Half the visible extent at zoom 1
+const BASE_HALF_EXTENT = 2;
+
+// Beyond this zoom, float precision in the shader breaks the image up
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 10000;
+
+const WHEEL_ZOOM_SPEED = 0.0015;
+const WHEEL_LINE_HEIGHT = 16;
+
+function clampZoom(zoom) {
+    return Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+}
+
+/**
+ * Convert a view to the { minX, maxX, minY, maxY } viewport the shader uses.
+ * aspect is the output's width / height; the shorter side always spans the
+ * zoom's extent and the longer side grows, so pixels stay square.
+ */
+export function viewToViewport(view, aspect = 1) {
+    const halfExtent = BASE_HALF_EXTENT / view.zoom;
+    const halfWidth = aspect >= 1 ? halfExtent * aspect : halfExtent;
+    const halfHeight = aspect >= 1 ? halfExtent : halfExtent / aspect;
+    return {
+        minX: view.centerX - halfWidth,
+        maxX: view.centerX + halfWidth,
+        minY: view.centerY - halfHeight,
+        maxY: view.centerY + halfHeight
+    };
+}
+
+/**
+ * Zoom by a factor while keeping the math point [x, y] fixed on screen
+ */
+export function zoomViewAt(view, point, factor) {
+    const zoom = clampZoom(view.zoom * factor);
+    const applied = zoom / view.zoom;
+    return {
+        centerX: point[0] + (view.centerX - point[0]) / applied,
+        centerY: point[1] + (view.centerY - point[1]) / applied,
+        zoom
+    };
+}
+
+/**
+ * Move the view center by a math-space offset
+ */
+export function panView(view, dx, dy) {
+    return { centerX: view.centerX + dx, centerY: view.centerY + dy, zoom: view.zoom };
+}
+
+/**
+ * Parse the optional "view" field of a graph file
+ */
+export function parseView(value) {
+    if (!value || !Array.isArray(value.center) || value.center.length !== 2 ||
+        !value.center.every(Number.isFinite) || !Number.isFinite(value.zoom) || value.zoom <= 0) {
+        throw new Error('view must be { "center": [x, y], "zoom": z } with a positive zoom');
+    }
+    return { centerX: value.center[0], centerY: value.center[1], zoom: clampZoom(value.zoom) };
+}
+
+export function viewToJSON(view) {
+    return { center: [view.centerX, view.centerY], zoom: view.zoom };
+}
+
+/**
+ * Wire up wheel zoom, drag to pan and two-finger pinch on a canvas.
+ * getView returns the current view; setView receives each new one.
+ */
+export function attachViewControls(canvas, getView, setView) {
+    const pointers = new Map(); // pointerId -> { x, y } in client coordinates
+    let lastPinchDistance = null;
+
+    // Client coordinates to math coordinates under the current view
+    const clientToMath = (clientX, clientY) => {
+        const rect = canvas.getBoundingClientRect();
+        const viewport = viewToViewport(getView(), rect.width / rect.height);
+        const fx = (clientX - rect.left) / rect.width;
+        const fy = (clientY - rect.top) / rect.height;
+        return [
+            viewport.minX + fx * (viewport.maxX - viewport.minX),
+            viewport.minY + fy * (viewport.maxY - viewport.minY) // screen top is minY
+        ];
+    };
+
+    const pinchState = () => {
+        const [a, b] = Array.from(pointers.values());
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            midX: (a.x + b.x) / 2,
+            midY: (a.y + b.y) / 2
+        };
+    };
+
+    canvas.style.touchAction = 'none';
+
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const delta = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * WHEEL_LINE_HEIGHT : e.deltaY;
+        const factor = Math.exp(-delta * WHEEL_ZOOM_SPEED);
+        setView(zoomViewAt(getView(), clientToMath(e.clientX, e.clientY), factor));
+    }, { passive: false });
+
+    canvas.addEventListener('pointerdown', (e) => {
+        canvas.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        lastPinchDistance = pointers.size === 2 ? pinchState().distance : null;
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        const previous = pointers.get(e.pointerId);
+        if (!previous) return;
+
+        if (pointers.size === 1) {
+            // Drag: move the view so the grabbed point follows the pointer
+            const from = clientToMath(previous.x, previous.y);
+            const to = clientToMath(e.clientX, e.clientY);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            setView(panView(getView(), from[0] - to[0], from[1] - to[1]));
+        } else if (pointers.size === 2) {
+            const before = pinchState();
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            const after = pinchState();
+
+            // Pan with the midpoint, then zoom around it
+            const from = clientToMath(before.midX, before.midY);
+            const to = clientToMath(after.midX, after.midY);
+            let view = panView(getView(), from[0] - to[0], from[1] - to[1]);
+            if (lastPinchDistance > 0) {
+                view = zoomViewAt(view, from, after.distance / lastPinchDistance);
+            }
+            lastPinchDistance = after.distance;
+            setView(view);
+        }
+    });
+
+    const endPointer = (e) => {
+        pointers.delete(e.pointerId);
+        lastPinchDistance = pointers.size === 2 ? pinchState().distance : null;
+    };
+    canvas.addEventListener('pointerup', endPointer);
+    canvas.addEventListener('pointercancel', endPointer);
+}
@@ -2,6 +2,8 @@
  * WebGL utility functions for context setup and shader compilation
  */
 
+import { parseInfoLog, ShaderError } from './shader-diagnostics.js';
+
 /**
  * Create and initialize WebGL2 context
  */
@@ -14,53 +16,144 @@ export function initWebGL(canvas) {
 }
 
 /**
- * Compile a shader from source
+ * Parsed info log of a compiled shader, with a ShaderError if the compile
+ * failed: { label, diagnostics, error }
+ */
+function checkCompile(gl, shader, type, source) {
+    const label = type === gl.VERTEX_SHADER ? 'Vertex shader' : 'Fragment shader';
+    const diagnostics = parseInfoLog(gl.getShaderInfoLog(shader));
+    const error = gl.getShaderParameter(shader, gl.COMPILE_STATUS) ? null :
+        new ShaderError(`${label} compilation failed`, label, diagnostics, source);
+    return { label, diagnostics, error };
+}
+
+/**
+ * Parsed info log of a linked program, with a ShaderError if the link
+ * failed: { diagnostics, error }
+ */
+function checkLink(gl, program) {
+    const diagnostics = parseInfoLog(gl.getProgramInfoLog(program));
+    const error = gl.getProgramParameter(program, gl.LINK_STATUS) ? null :
+        new ShaderError('Program linking failed', 'Program', diagnostics);
+    return { diagnostics, error };
+}
+
+/**
+ * Compile a shader from source. Throws a ShaderError with parsed
+ * diagnostics on failure; warnings from a successful compile are appended
+ * to the warnings array as { label, source, severity, line, message }.
  */
-export function compileShader(gl, type, source) {
+export function compileShader(gl, type, source, warnings = []) {
     const shader = gl.createShader(type);
     gl.shaderSource(shader, source);
     gl.compileShader(shader);
 
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        const info = gl.getShaderInfoLog(shader);
+    const { label, diagnostics, error } = checkCompile(gl, shader, type, source);
+    if (error) {
         gl.deleteShader(shader);
-        throw new Error(`Shader compilation failed: ${info}`);
+        throw error;
     }
 
+    warnings.push(...diagnostics.map(diagnostic => ({ label, source, ...diagnostic })));
     return shader;
 }
 
 /**
- * Link vertex and fragment shaders into a program
+ * Link vertex and fragment shaders into a program. Failures and warnings
+ * are reported like compileShader's.
  */
-export function createProgram(gl, vertexShader, fragmentShader) {
+export function createProgram(gl, vertexShader, fragmentShader, warnings = []) {
     const program = gl.createProgram();
     gl.attachShader(program, vertexShader);
     gl.attachShader(program, fragmentShader);
     gl.linkProgram(program);
 
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        const info = gl.getProgramInfoLog(program);
+    const { diagnostics, error } = checkLink(gl, program);
+    if (error) {
         gl.deleteProgram(program);
-        throw new Error(`Program linking failed: ${info}`);
+        throw error;
     }
 
+    warnings.push(...diagnostics.map(diagnostic => ({ label: 'Program', source: null, ...diagnostic })));
     return program;
 }
 
 /**
  * Create shader program from source strings
  */
-export function createProgramFromSources(gl, vertexSource, fragmentSource) {
-    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
-    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
-    const program = createProgram(gl, vertexShader, fragmentShader);
+export function createProgramFromSources(gl, vertexSource, fragmentSource, warnings = []) {
+    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource, warnings);
+    let fragmentShader;
+    try {
+        fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource, warnings);
+    } catch (error) {
+        gl.deleteShader(vertexShader);
+        throw error;
+    }
+    try {
+        return createProgram(gl, vertexShader, fragmentShader, warnings);
+    } finally {
+        // Not needed after linking, whether or not it succeeded
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+    }
+}
+
+// How often createProgramAsync checks whether the driver has finished
+const COMPILE_POLL_INTERVAL = 16; // ms
+
+/**
+ * Compile and link a program without blocking on the driver where
+ * KHR_parallel_shader_compile is available (elsewhere the first status
+ * check waits for it). attributeLocations ({ name: location }) are bound
+ * before linking. Resolves to the program, or rejects with a ShaderError
+ * like createProgramFromSources.
+ */
+export function createProgramAsync(gl, vertexSource, fragmentSource, attributeLocations = {}) {
+    const ext = gl.getExtension('KHR_parallel_shader_compile');
 
-    // Clean up shaders after linking
-    gl.deleteShader(vertexShader);
-    gl.deleteShader(fragmentShader);
+    const shaders = [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].map(([type, source]) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        return { shader, type, source };
+    });
 
-    return program;
+    const program = gl.createProgram();
+    for (const { shader } of shaders) gl.attachShader(program, shader);
+    for (const [name, location] of Object.entries(attributeLocations)) {
+        gl.bindAttribLocation(program, location, name);
+    }
+    gl.linkProgram(program);
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            let { error } = checkLink(gl, program);
+            if (error) {
+                // Report the failing stage with its source, as compileShader does
+                const failedStage = shaders.map(({ shader, type, source }) =>
+                    checkCompile(gl, shader, type, source)).find(result => result.error);
+                if (failedStage) error = failedStage.error;
+            }
+
+            for (const { shader } of shaders) gl.deleteShader(shader);
+            if (error) {
+                gl.deleteProgram(program);
+                reject(error);
+            } else {
+                resolve(program);
+            }
+        };
+
+        const poll = () => {
+            if (ext && !gl.getProgramParameter(program, ext.COMPLETION_STATUS_KHR)) {
+                setTimeout(poll, COMPILE_POLL_INTERVAL);
+                return;
+            }
+            finish();
+        };
+        poll();
+    });
 }
 
 /**
@@ -96,11 +189,74 @@ export function setupFullscreenQuad(gl, program) {
 }
 
 /**
- * Resize canvas to match display size
+ * Create a texture-backed framebuffer for offscreen rendering, RGBA8 unless
+ * another internal format and type are given (float formats need
+ * EXT_color_buffer_float). The texture is created on a spare unit so the
+ * graph data texture on unit 0 stays bound.
  */
-export function resizeCanvas(canvas) {
-    const displayWidth = canvas.clientWidth;
-    const displayHeight = canvas.clientHeight;
+export function createRenderTarget(gl, width, height, internalFormat = gl.RGBA8, type = gl.UNSIGNED_BYTE) {
+    const previousUnit = gl.getParameter(gl.ACTIVE_TEXTURE);
+    gl.activeTexture(gl.TEXTURE1);
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, type, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.activeTexture(previousUnit);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.deleteFramebuffer(framebuffer);
+        gl.deleteTexture(texture);
+        throw new Error('Could not create offscreen framebuffer');
+    }
+
+    return { texture, framebuffer, width, height };
+}
+
+export function deleteRenderTarget(gl, target) {
+    gl.deleteFramebuffer(target.framebuffer);
+    gl.deleteTexture(target.texture);
+}
+
+/**
+ * Capture blend and clear state, so offscreen passes can leave the
+ * interactive view's settings untouched
+ */
+export function saveDrawState(gl) {
+    return {
+        blend: gl.getParameter(gl.BLEND),
+        srcRGB: gl.getParameter(gl.BLEND_SRC_RGB),
+        dstRGB: gl.getParameter(gl.BLEND_DST_RGB),
+        srcAlpha: gl.getParameter(gl.BLEND_SRC_ALPHA),
+        dstAlpha: gl.getParameter(gl.BLEND_DST_ALPHA),
+        clearColor: gl.getParameter(gl.COLOR_CLEAR_VALUE)
+    };
+}
+
+export function restoreDrawState(gl, state) {
+    if (state.blend) gl.enable(gl.BLEND);
+    else gl.disable(gl.BLEND);
+    gl.blendFuncSeparate(state.srcRGB, state.dstRGB, state.srcAlpha, state.dstAlpha);
+    gl.clearColor(...state.clearColor);
+}
+
+/**
+ * Resize the canvas drawing buffer, by default to its display size in
+ * device pixels. Returns true if the size changed.
+ */
+export function resizeCanvas(canvas,
+                             width = canvas.clientWidth * (window.devicePixelRatio || 1),
+                             height = canvas.clientHeight * (window.devicePixelRatio || 1)) {
+    const displayWidth = Math.max(1, Math.round(width));
+    const displayHeight = Math.max(1, Math.round(height));
 
     if (canvas.width !== displayWidth || canvas.height !== displayHeight) {
         canvas.width = displayWidth;
@@ -111,6 +267,36 @@ export function resizeCanvas(canvas) {
     return false;
 }
 
+/**
+ * Keep the drawing buffer matched to the canvas's displayed size in device
+ * pixels, calling onResize after each change. Prefers the exact
+ * device-pixel box where the browser reports it, which also catches
+ * devicePixelRatio changes (browser zoom, moving between monitors).
+ */
+export function observeCanvasSize(canvas, onResize) {
+    const observer = new ResizeObserver((entries) => {
+        const entry = entries[entries.length - 1];
+        let width;
+        let height;
+        if (entry.devicePixelContentBoxSize) {
+            width = entry.devicePixelContentBoxSize[0].inlineSize;
+            height = entry.devicePixelContentBoxSize[0].blockSize;
+        } else {
+            const ratio = window.devicePixelRatio || 1;
+            width = entry.contentRect.width * ratio;
+            height = entry.contentRect.height * ratio;
+        }
+        if (resizeCanvas(canvas, width, height)) onResize();
+    });
+
+    try {
+        observer.observe(canvas, { box: 'device-pixel-content-box' });
+    } catch (error) {
+        observer.observe(canvas); // box option not supported
+    }
+    return observer;
+}
+
 /**
  * Get uniform locations for a program
  */